@@ -2,10 +2,12 @@ const chat = document.getElementById('chat');
 const queryEl = document.getElementById('query');
 const sendBtn = document.getElementById('send');
 const allowOutsideEl = document.getElementById('allow-outside');
+const filterEl = document.getElementById('metadata-filter');
 const ingestBtn = document.getElementById('ingest-btn');
 const statusEl = document.getElementById('status');
 const ingestBar = document.getElementById('ingest-bar');
 const providerEl = document.getElementById('provider');
+const profileEl = document.getElementById('profile-select');
 const summaryEl = document.getElementById('summary');
 const suggestionsEl = document.getElementById('suggestions');
 const docListEl = document.getElementById('doc-list');
@@ -40,7 +42,7 @@ async function refreshSelectedSummary() {
     const res = await fetch('/api/summary', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ selectedDocs: selectedDocPaths }),
+      body: JSON.stringify({ selectedDocs: selectedDocPaths, profile: currentProfile() }),
     });
     const data = await res.json();
     const text = data.ok ? (data.summary || 'No summary available.') : 'Unable to load summary.';
@@ -234,7 +236,8 @@ async function ingest() {
         return;
       }
       if (st.stage === 'done') {
-        statusEl.textContent = `Indexed ${st.processed} chunks.`;
+        const delta = Number.isFinite(st.removed) ? ` (${st.added + st.changed} updated, ${st.removed} removed)` : '';
+        statusEl.textContent = `Indexed ${st.processed} chunks${delta}.`;
         if (ingestBar) ingestBar.style.width = '100%';
         ingestBtn.disabled = false;
         return;
@@ -284,13 +287,16 @@ async function send() {
     const res = await fetch('/api/chat/stream', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ query: q, history: conversationHistory, selectedDocs: selectedDocPaths, allowOutsideKnowledge: !!(allowOutsideEl && allowOutsideEl.checked) }),
+      body: JSON.stringify({ query: q, history: conversationHistory, selectedDocs: selectedDocPaths, filter: currentFilter(), allowOutsideKnowledge: !!(allowOutsideEl && allowOutsideEl.checked), profile: currentProfile() }),
     });
+    if (res.status === 400) throw new Error((await res.json().catch(() => ({}))).error || 'Bad request');
     if (!res.ok || !res.body) throw new Error('Streaming not available');
     const reader = res.body.getReader();
     const decoder = new TextDecoder('utf-8');
     let buffer = '';
     let acc = '';
+    let sources = [];
+    let answeredBy = null;
     holder.textContent = '';
     while (true) {
       const { done, value } = await reader.read();
@@ -310,7 +316,11 @@ async function send() {
           const dataStr = trimmed.slice(5).trim();
           try {
             const evt = JSON.parse(dataStr);
-            if (event === 'delta' && evt.text) {
+            if (event === 'sources') {
+              sources = Array.isArray(evt.sources) ? evt.sources : [];
+            } else if (event === 'status' && evt.answering) {
+              answeredBy = evt;
+            } else if (event === 'delta' && evt.text) {
               acc += evt.text;
               if (window.marked && window.DOMPurify) {
                 const html = marked.parse(acc);
@@ -334,6 +344,14 @@ async function send() {
               if (acc && acc.trim().length) {
                 conversationHistory.push({ role: 'assistant', content: acc });
               }
+              renderSources(holder, sources);
+              // Say so when another profile had to step in
+              if (answeredBy?.fallbackFrom?.length) {
+                const note = document.createElement('div');
+                note.className = 'muted';
+                note.textContent = `Answered by ${answeredBy.name} (${answeredBy.model}); ${answeredBy.fallbackFrom.join(', ')} unavailable`;
+                holder.appendChild(note);
+              }
               // Upsert to multi-chat storage
               try { upsertCurrentChat(); renderHistory(); } catch {}
               // Refresh suggestions after each assistant reply
@@ -358,6 +376,34 @@ async function send() {
   }
 }
 
+// Retrieved chunks with their retrieval / re-rank scores, collapsed under the answer
+function renderSources(holder, sources) {
+  if (!sources.length) return;
+  const details = document.createElement('details');
+  details.className = 'sources';
+  const summary = document.createElement('summary');
+  summary.textContent = `Retrieved sources (${sources.length})`;
+  details.appendChild(summary);
+  const list = document.createElement('ol');
+  for (const src of sources) {
+    const li = document.createElement('li');
+    const unit = /\.pptx$/i.test(src.name) ? ' slide ' : ' p.';
+    const page = src.pageNumber ? `${unit}${src.pageNumber}${src.pageEnd ? `-${src.pageEnd}` : ''}` : '';
+    const lines = src.lineStart ? ` L${src.lineStart}-${src.lineEnd}` : '';
+    const rows = src.rowStart ? ` ${src.sheet ? `${src.sheet} ` : ''}rows ${src.rowStart}-${src.rowEnd}` : '';
+    const section = src.headingPath ? ` § ${src.headingPath}` : '';
+    const mail = src.meta?.subject ? ` ✉ ${src.meta.subject}${src.meta.date ? ` (${String(src.meta.date).slice(0, 10)})` : ''}` : '';
+    const score = src.rerankScore != null
+      ? `re-rank ${src.rerankScore.toFixed(3)}`
+      : `score ${Number(src.score || 0).toFixed(4)}`;
+    const copies = src.duplicates?.length ? ` • also in ${[...new Set(src.duplicates.map((d) => d.name))].join(', ')}` : '';
+    li.textContent = `${src.name}${page}${lines}${rows}${section}${mail}${src.ocr ? ' (OCR)' : ''} • ${score}${copies}`;
+    list.appendChild(li);
+  }
+  details.appendChild(list);
+  holder.appendChild(details);
+}
+
 ingestBtn.addEventListener('click', ingest);
 sendBtn.addEventListener('click', send);
 queryEl.addEventListener('keydown', (e) => {
@@ -368,18 +414,37 @@ queryEl.addEventListener('keydown', (e) => {
   }
 });
 
+// Empty means the default profile from Settings
+function currentProfile() {
+  return profileEl?.value || null;
+}
+
+async function loadProfiles() {
+  if (!profileEl) return;
+  try {
+    const res = await fetch('/api/profiles');
+    const data = await res.json();
+    if (!data.ok) return;
+    profileEl.innerHTML = '';
+    const def = data.profiles.find((p) => p.id === data.active);
+    profileEl.appendChild(new Option(`Default (${def?.name || data.active})`, ''));
+    for (const p of data.profiles) profileEl.appendChild(new Option(`${p.name} • ${p.model}`, p.id));
+  } catch {}
+}
+
 async function refreshProvider() {
   try {
-    const res = await fetch('/api/status');
+    const profile = currentProfile();
+    const res = await fetch(`/api/status${profile ? `?profile=${encodeURIComponent(profile)}` : ''}`);
     const data = await res.json();
     if (!data.ok) throw new Error(data.error || 'status error');
     if (!data.provider) {
       providerEl.textContent = 'Provider: not configured';
     } else if (data.provider === 'openai-compatible') {
-      const base = data.baseUrl || '';
+      const base = data.baseUrl || 'no server found';
       providerEl.textContent = `Provider: Local/OpenAI-compatible (${base}) • Model: ${data.model}`;
-    } else if (data.provider === 'groq') {
-      providerEl.textContent = `Provider: Groq • Model: ${data.model}`;
+    } else {
+      providerEl.textContent = `Provider: ${data.profileName || data.provider} • Model: ${data.model}`;
     }
   } catch (e) {
     providerEl.textContent = '';
@@ -387,6 +452,8 @@ async function refreshProvider() {
 }
 
 refreshProvider();
+loadProfiles();
+profileEl?.addEventListener('change', refreshProvider);
 
 // Fetch document summary asynchronously on load
 (async function fetchSummary() {
@@ -407,6 +474,12 @@ refreshProvider();
   }
 })();
 
+// Metadata filter expression from the input row, or null when empty
+function currentFilter() {
+  const value = filterEl ? filterEl.value.trim() : '';
+  return value || null;
+}
+
 // Fetch suggested starter questions asynchronously
 async function fetchSuggestions() {
   if (!suggestionsEl) return;
@@ -414,7 +487,7 @@ async function fetchSuggestions() {
     const res = await fetch('/api/suggest', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ history: conversationHistory, selectedDocs: selectedDocPaths }),
+      body: JSON.stringify({ history: conversationHistory, selectedDocs: selectedDocPaths, filter: currentFilter(), profile: currentProfile() }),
     });
     const data = await res.json();
     if (!data.ok || !Array.isArray(data.questions)) throw new Error('suggestions error');
@@ -4,10 +4,17 @@ const els = {
   radios: Array.from(document.querySelectorAll('input[name="aiProvider"]')),
   groqGroup: document.getElementById('groq-fields'),
   groqApiKey: document.getElementById('groq-apiKey'),
+  groqKeyState: document.getElementById('groq-keyState'),
   groqModel: document.getElementById('groq-model'),
   ollamaGroup: document.getElementById('ollama-fields'),
   ollamaUrl: document.getElementById('ollama-url'),
   ollamaModel: document.getElementById('ollama-model'),
+  hosted: Object.fromEntries(['openai', 'anthropic', 'gemini'].map((id) => [id, {
+    group: document.getElementById(`${id}-fields`),
+    apiKey: document.getElementById(`${id}-apiKey`),
+    model: document.getElementById(`${id}-model`),
+    keyState: document.getElementById(`${id}-keyState`),
+  }])),
   testBtn: document.getElementById('test-btn'),
   testStatus: document.getElementById('test-status'),
   saveBtn: document.getElementById('save-btn'),
@@ -20,7 +27,42 @@ const els = {
   rebuildStatus: document.getElementById('rebuild-status'),
   rebuildBar: document.getElementById('rebuild-bar'),
   docSearch: document.getElementById('doc-search'),
+  retrievalForm: document.getElementById('retrieval-form'),
+  lexicalWeight: document.getElementById('lexical-weight'),
+  embeddingModel: document.getElementById('embedding-model'),
+  rerankEnabled: document.getElementById('rerank-enabled'),
+  rerankModel: document.getElementById('rerank-model'),
+  rerankCandidates: document.getElementById('rerank-candidates'),
+  rerankTopN: document.getElementById('rerank-topn'),
+  indexModelStatus: document.getElementById('index-model-status'),
+  retrievalSaveBtn: document.getElementById('retrieval-save-btn'),
+  retrievalStatus: document.getElementById('retrieval-status'),
   docListing: document.getElementById('doc-listing'),
+  webForm: document.getElementById('web-form'),
+  webUrl: document.getElementById('web-url'),
+  webDomain: document.getElementById('web-domain'),
+  webDepth: document.getElementById('web-depth'),
+  webRecrawl: document.getElementById('web-recrawl'),
+  webStatus: document.getElementById('web-status'),
+  webListing: document.getElementById('web-listing'),
+  profileForm: document.getElementById('profile-form'),
+  profileId: document.getElementById('profile-id'),
+  profileName: document.getElementById('profile-name'),
+  profileType: document.getElementById('profile-type'),
+  profileUrl: document.getElementById('profile-url'),
+  profileModel: document.getElementById('profile-model'),
+  profileApiKey: document.getElementById('profile-apiKey'),
+  profileTemperature: document.getElementById('profile-temperature'),
+  profileMaxTokens: document.getElementById('profile-maxTokens'),
+  profileStatus: document.getElementById('profile-status'),
+  profileModels: document.getElementById('profile-models'),
+  ollamaPullBtn: document.getElementById('ollama-pull-btn'),
+  ollamaPullStatus: document.getElementById('ollama-pull-status'),
+  ollamaPullBar: document.getElementById('ollama-pull-bar'),
+  profileListing: document.getElementById('profile-listing'),
+  failoverForm: document.getElementById('failover-form'),
+  failover: document.getElementById('failover'),
+  failoverStatus: document.getElementById('failover-status'),
 };
 
 function setBadge(text, ok) {
@@ -30,19 +72,26 @@ function setBadge(text, ok) {
 }
 
 function showGroups(provider) {
-  const isGroq = provider === 'groq';
-  els.groqGroup.hidden = !isGroq;
-  els.ollamaGroup.hidden = isGroq;
+  els.groqGroup.hidden = provider !== 'groq';
+  els.ollamaGroup.hidden = provider !== 'ollama';
+  for (const [id, h] of Object.entries(els.hosted)) h.group.hidden = provider !== id;
 }
 
 function getFormSettings() {
-  const provider = els.radios.find(r => r.checked)?.value || 'groq';
-  const payload = { aiProvider: provider, groq: {}, ollama: {} };
+  // No radio is checked while a custom profile is the default; saving then keeps it
+  const provider = els.radios.find(r => r.checked)?.value || null;
+  const payload = { ...(provider ? { aiProvider: provider } : {}), groq: {}, ollama: {} };
   if (provider === 'groq') {
     if (els.groqApiKey.value.trim()) payload.groq.apiKey = els.groqApiKey.value.trim();
     if (els.groqModel.value.trim()) payload.groq.model = els.groqModel.value.trim();
+  } else if (els.hosted[provider]) {
+    const h = els.hosted[provider];
+    payload[provider] = {};
+    if (h.apiKey.value.trim()) payload[provider].apiKey = h.apiKey.value.trim();
+    if (h.model.value.trim()) payload[provider].model = h.model.value.trim();
   } else {
-    if (els.ollamaUrl.value.trim()) payload.ollama.url = els.ollamaUrl.value.trim();
+    // An empty URL means auto-detect, so it is sent as is
+    payload.ollama.url = els.ollamaUrl.value.trim();
     if (els.ollamaModel.value.trim()) payload.ollama.model = els.ollamaModel.value.trim();
   }
   return payload;
@@ -50,16 +99,164 @@ function getFormSettings() {
 
 function applySettingsToForm(s) {
   const provider = (s.aiProvider || 'groq').toLowerCase();
-  (els.radios.find(r => r.value === provider) || els.radios[0]).checked = true;
+  els.radios.forEach(r => { r.checked = r.value === provider; });
   showGroups(provider);
+  profilesCache = s.profiles || [];
+  activeProfile = provider;
+  renderProfiles();
+  if (els.failover) els.failover.value = (s.failover || []).join(', ');
   if (s.groq) {
     els.groqModel.value = s.groq.model || '';
-    // Do not prefill API key for safety; leave empty unless the user wants to rotate it
+    // The server never sends the key; leave the field empty unless the user wants to rotate it
+    els.groqApiKey.value = '';
+    els.groqKeyState.textContent = s.groq.hasApiKey ? 'A key is saved; leave empty to keep it.' : '';
+  }
+  for (const [id, h] of Object.entries(els.hosted)) {
+    h.model.value = s[id]?.model || '';
+    h.apiKey.value = '';
+    h.keyState.textContent = s[id]?.hasApiKey ? 'A key is saved; leave empty to keep it.' : '';
   }
   if (s.ollama) {
     els.ollamaUrl.value = s.ollama.url || '';
     els.ollamaModel.value = s.ollama.model || '';
   }
+  if (els.lexicalWeight) {
+    els.lexicalWeight.value = s.retrieval?.lexicalWeight ?? '';
+  }
+  if (els.embeddingModel) {
+    els.embeddingModel.value = s.embedding?.model || '';
+  }
+  if (els.rerankEnabled) {
+    const rr = s.retrieval?.rerank || {};
+    els.rerankEnabled.checked = !!rr.enabled;
+    els.rerankModel.value = rr.model || '';
+    els.rerankCandidates.value = rr.candidates ?? '';
+    els.rerankTopN.value = rr.topN ?? '';
+  }
+}
+
+async function refreshIndexStatus() {
+  if (!els.indexModelStatus) return;
+  try {
+    const res = await fetch('/api/index');
+    const data = await res.json();
+    if (!data.success) return;
+    const st = data.data;
+    if (!st.items) {
+      els.indexModelStatus.textContent = 'Index is empty.';
+      els.indexModelStatus.style.color = '';
+    } else if (st.needsRebuild) {
+      els.indexModelStatus.textContent = `Index built with ${st.model} (${st.dim}-d). Rebuild required for ${st.configuredModel}.`;
+      els.indexModelStatus.style.color = '#ff9a8a';
+    } else {
+      els.indexModelStatus.textContent = `Index: ${st.items} chunks • ${st.model} (${st.dim}-d)`;
+      els.indexModelStatus.style.color = '';
+    }
+  } catch {}
+}
+
+// Custom provider profiles (keys are write-only: the server reports hasApiKey)
+let profilesCache = [];
+let activeProfile = null;
+
+async function saveProfiles(profiles, extra = {}) {
+  // Stored keys are kept for profiles sent without one
+  const res = await fetch('/api/settings', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ profiles: profiles.map(({ hasApiKey, ...p }) => p), ...extra }),
+  });
+  const data = await res.json();
+  if (!data.success) throw new Error(data.error || 'Failed to save profiles');
+  applySettingsToForm(data.data);
+  setBadge(`Provider: ${data.data.aiProvider}`, true);
+}
+
+function renderProfiles() {
+  if (!els.profileListing) return;
+  els.profileListing.innerHTML = '';
+  if (!profilesCache.length) {
+    els.profileListing.innerHTML = '<div class="muted">No custom profiles; the providers above are always available.</div>';
+    return;
+  }
+  for (const p of profilesCache) {
+    const row = document.createElement('div');
+    row.className = 'doc-row';
+    const meta = document.createElement('div');
+    meta.className = 'doc-meta';
+    const name = document.createElement('div');
+    name.className = 'name';
+    name.textContent = `${p.name} (${p.id})${p.id === activeProfile ? ' • default' : ''}`;
+    const sub = document.createElement('div');
+    sub.className = 'sub muted';
+    const defaults = [p.temperature != null ? `temperature ${p.temperature}` : '', p.maxTokens ? `max ${p.maxTokens} tokens` : ''].filter(Boolean);
+    sub.textContent = [p.type, p.baseUrl, p.model, p.hasApiKey ? 'key set' : 'no key', ...defaults].filter(Boolean).join(' • ');
+    meta.appendChild(name);
+    meta.appendChild(sub);
+    const actions = document.createElement('div');
+    actions.className = 'doc-actions';
+    const edit = document.createElement('button');
+    edit.className = 'btn-secondary';
+    edit.textContent = 'Edit';
+    edit.addEventListener('click', () => {
+      els.profileId.value = p.id;
+      els.profileName.value = p.name || '';
+      els.profileType.value = p.type;
+      els.profileUrl.value = p.baseUrl || '';
+      els.profileModel.value = p.model || '';
+      fillModelList(els.profileModels, modelsCache.find((m) => m.profile === p.id));
+      els.profileApiKey.value = '';
+      els.profileTemperature.value = p.temperature ?? '';
+      els.profileMaxTokens.value = p.maxTokens ?? '';
+    });
+    const makeDefault = document.createElement('button');
+    makeDefault.className = 'btn-secondary';
+    makeDefault.textContent = 'Make default';
+    makeDefault.disabled = p.id === activeProfile;
+    makeDefault.addEventListener('click', async () => {
+      try { await saveProfiles(profilesCache, { aiProvider: p.id }); } catch (e) { alert(e.message); }
+    });
+    const del = document.createElement('button');
+    del.className = 'btn-secondary';
+    del.textContent = 'Remove';
+    del.addEventListener('click', async () => {
+      if (!confirm(`Remove profile ${p.name}?`)) return;
+      // A removed default falls back to Ollama
+      const extra = p.id === activeProfile ? { aiProvider: 'ollama' } : {};
+      try { await saveProfiles(profilesCache.filter((x) => x.id !== p.id), extra); } catch (e) { alert(e.message); }
+    });
+    actions.appendChild(edit);
+    actions.appendChild(makeDefault);
+    actions.appendChild(del);
+    row.appendChild(meta);
+    row.appendChild(actions);
+    els.profileListing.appendChild(row);
+  }
+}
+
+async function saveProfileForm() {
+  const profile = {
+    id: els.profileId.value.trim().toLowerCase(),
+    name: els.profileName.value.trim(),
+    type: els.profileType.value,
+    baseUrl: els.profileUrl.value.trim(),
+    model: els.profileModel.value.trim(),
+    temperature: els.profileTemperature.value,
+    maxTokens: els.profileMaxTokens.value,
+  };
+  if (els.profileApiKey.value.trim()) profile.apiKey = els.profileApiKey.value.trim();
+  const others = profilesCache.filter((p) => p.id !== profile.id);
+  els.profileStatus.textContent = 'Saving...';
+  els.profileStatus.style.color = '';
+  try {
+    await saveProfiles([...others, profile]);
+    els.profileForm.reset();
+    els.profileStatus.textContent = 'Saved';
+    els.profileStatus.style.color = '#7dd97c';
+  } catch (e) {
+    els.profileStatus.textContent = e.message;
+    els.profileStatus.style.color = '#ff9a8a';
+  }
 }
 
 async function fetchSettings() {
@@ -83,6 +280,128 @@ async function testConnection() {
   }
 }
 
+// Model pickers: each built-in provider's model input searches the models its server lists
+let modelsCache = [];
+
+function modelInputs() {
+  return {
+    groq: els.groqModel,
+    ollama: els.ollamaModel,
+    ...Object.fromEntries(Object.entries(els.hosted).map(([id, h]) => [id, h.model])),
+  };
+}
+
+function formatContext(n) {
+  return n >= 1024 ? `${Math.round(n / 1024)}k` : String(n);
+}
+
+function fillModelList(list, entry) {
+  if (!list) return;
+  list.innerHTML = '';
+  for (const m of entry?.models || []) {
+    const opt = document.createElement('option');
+    opt.value = m.id;
+    if (m.contextLength) opt.label = `${m.id} • ${formatContext(m.contextLength)} context`;
+    list.appendChild(opt);
+  }
+}
+
+function describeModels(id) {
+  const status = document.getElementById(`${id}-models-status`);
+  const entry = modelsCache.find((m) => m.profile === id);
+  if (!status || !entry) return;
+  const value = modelInputs()[id]?.value.trim();
+  const known = entry.models.find((m) => m.id === value);
+  if (!entry.configured) {
+    status.textContent = 'Add an API key and save to list the available models.';
+  } else if (entry.error) {
+    status.textContent = `Could not list models: ${entry.error}`;
+  } else if (value && !known && entry.canPull) {
+    status.textContent = `${value} is not installed (${entry.models.length} models available); use Pull model to download it.`;
+  } else {
+    const context = known?.contextLength ? ` • ${value}: ${formatContext(known.contextLength)} context` : '';
+    status.textContent = `${entry.models.length} models available${context}`;
+  }
+}
+
+async function refreshModels() {
+  try {
+    const res = await fetch('/api/models');
+    const data = await res.json();
+    if (!data.ok) return;
+    modelsCache = data.providers || [];
+    for (const id of Object.keys(modelInputs())) {
+      fillModelList(document.getElementById(`${id}-models`), modelsCache.find((m) => m.profile === id));
+      describeModels(id);
+    }
+  } catch {}
+}
+
+// Streams `/api/models/pull` progress for the model typed in the Ollama field (as saved: URL included)
+async function pullOllamaModel() {
+  const model = els.ollamaModel.value.trim();
+  if (!model) {
+    els.ollamaPullStatus.textContent = 'Enter a model name first';
+    els.ollamaPullStatus.style.color = '#ff9a8a';
+    return;
+  }
+  els.ollamaPullBtn.disabled = true;
+  els.ollamaPullStatus.textContent = `Pulling ${model}...`;
+  els.ollamaPullStatus.style.color = '';
+  els.ollamaPullBar.style.width = '0%';
+  const show = (text, ok) => {
+    els.ollamaPullStatus.textContent = text;
+    els.ollamaPullStatus.style.color = ok ? '#7dd97c' : '#ff9a8a';
+  };
+  try {
+    const res = await fetch('/api/models/pull', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ profile: 'ollama', model }),
+    });
+    if (!res.ok || !res.body) {
+      const data = await res.json().catch(() => ({}));
+      return show(data.error || 'Pull failed', false);
+    }
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder('utf-8');
+    let buffer = '';
+    let event = null;
+    let finished = false;
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop() ?? '';
+      for (const line of lines) {
+        if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          const evt = JSON.parse(line.slice(5).trim());
+          if (event === 'progress') {
+            if (evt.percent != null) els.ollamaPullBar.style.width = `${evt.percent}%`;
+            els.ollamaPullStatus.textContent = `${evt.status}${evt.percent != null ? ` ${evt.percent}%` : ''}`;
+          } else if (event === 'done') {
+            finished = true;
+            els.ollamaPullBar.style.width = '100%';
+            show(`${model} is ready`, true);
+          } else if (event === 'error') {
+            finished = true;
+            show(evt.error || 'Pull failed', false);
+          }
+        }
+      }
+    }
+    if (!finished) show('Connection closed before the pull finished', false);
+    await refreshModels();
+  } catch (e) {
+    show('Network error', false);
+  } finally {
+    els.ollamaPullBtn.disabled = false;
+  }
+}
+
 async function saveSettings(payload) {
   els.saveBtn.disabled = true;
   els.saveStatus.textContent = 'Saving...';
@@ -99,6 +418,8 @@ async function saveSettings(payload) {
       els.saveStatus.style.color = '#7dd97c';
       // Refresh badge
       setBadge(`Saved • Provider: ${payload.aiProvider}`, true);
+      // A new URL or key can change what the pickers offer
+      refreshModels();
     } else {
       els.saveStatus.textContent = data.error || 'Failed';
       els.saveStatus.style.color = '#ff9a8a';
@@ -111,10 +432,51 @@ async function saveSettings(payload) {
   }
 }
 
+async function saveRetrievalSettings() {
+  const raw = els.lexicalWeight.value.trim();
+  const weight = raw === '' ? 0.5 : Number(raw);
+  if (!Number.isFinite(weight) || weight < 0 || weight > 1) {
+    els.retrievalStatus.textContent = 'Weight must be between 0 and 1';
+    els.retrievalStatus.style.color = '#ff9a8a';
+    return;
+  }
+  const payload = { retrieval: { lexicalWeight: weight } };
+  if (els.rerankEnabled) {
+    const rerank = { enabled: els.rerankEnabled.checked };
+    if (els.rerankModel.value.trim()) rerank.model = els.rerankModel.value.trim();
+    if (els.rerankCandidates.value.trim()) rerank.candidates = Number(els.rerankCandidates.value);
+    if (els.rerankTopN.value.trim()) rerank.topN = Number(els.rerankTopN.value);
+    payload.retrieval.rerank = rerank;
+  }
+  const model = els.embeddingModel?.value.trim();
+  if (model) payload.embedding = { model };
+  els.retrievalSaveBtn.disabled = true;
+  els.retrievalStatus.textContent = 'Saving...';
+  els.retrievalStatus.style.color = '';
+  try {
+    const res = await fetch('/api/settings', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    const data = await res.json();
+    els.retrievalStatus.textContent = data.success ? 'Saved' : (data.error || 'Failed');
+    els.retrievalStatus.style.color = data.success ? '#7dd97c' : '#ff9a8a';
+    await refreshIndexStatus();
+  } catch (e) {
+    els.retrievalStatus.textContent = 'Network error';
+    els.retrievalStatus.style.color = '#ff9a8a';
+  } finally {
+    els.retrievalSaveBtn.disabled = false;
+  }
+}
+
 // Init
 (async function init() {
   els.radios.forEach(r => r.addEventListener('change', () => showGroups(r.value)));
   els.testBtn.addEventListener('click', testConnection);
+  els.ollamaPullBtn?.addEventListener('click', pullOllamaModel);
+  for (const [id, input] of Object.entries(modelInputs())) input?.addEventListener('input', () => describeModels(id));
   els.resetBtn.addEventListener('click', async () => {
     const data = await fetchSettings();
     if (data.success) applySettingsToForm(data.data);
@@ -132,12 +494,34 @@ async function saveSettings(payload) {
     }
     await saveSettings(payload);
   });
+  els.profileForm?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await saveProfileForm();
+  });
+  els.failoverForm?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const failover = els.failover.value.split(',').map((id) => id.trim()).filter(Boolean);
+    const res = await fetch('/api/settings', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ failover }),
+    });
+    const data = await res.json().catch(() => ({}));
+    els.failoverStatus.textContent = data.success ? 'Saved' : (data.error || 'Failed');
+    els.failoverStatus.style.color = data.success ? '#7dd97c' : '#ff9a8a';
+  });
+  els.retrievalForm?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await saveRetrievalSettings();
+  });
 
   try {
     const data = await fetchSettings();
     if (data.success) {
       applySettingsToForm(data.data);
       setBadge(`Provider: ${data.data.aiProvider}`, true);
+      refreshIndexStatus();
+      refreshModels();
     } else {
       setBadge('Provider: unknown', false);
     }
@@ -180,6 +564,11 @@ async function saveSettings(payload) {
     els.docSearch?.addEventListener('input', renderDocuments);
     await refreshDocuments();
   }
+
+  if (els.webForm) {
+    els.webForm.addEventListener('submit', addWebSource);
+    await refreshWebSources();
+  }
 })();
 
 let documentsCache = [];
@@ -204,14 +593,74 @@ function renderDocuments() {
     els.docListing.innerHTML = '<div class="muted">No documents found.</div>';
     return;
   }
+  // Files that could not be read, or were read without any text, are easy to miss in a long list
+  const count = (status) => documentsCache.filter((d) => d.report?.status === status).length;
+  const problems = [[count('error'), 'failed'], [count('empty'), 'produced no text']].filter(([n]) => n);
+  if (problems.length) {
+    const summary = document.createElement('div');
+    summary.className = 'muted';
+    summary.textContent = `Last ingest: ${problems.map(([n, what]) => `${n} file${n === 1 ? '' : 's'} ${what}`).join(', ')}`;
+    els.docListing.appendChild(summary);
+  }
   for (const d of list) {
     const row = document.createElement('div');
     row.className = 'doc-row';
     const meta = document.createElement('div');
     meta.className = 'doc-meta';
-    meta.innerHTML = `<div class="name">${d.name}</div><div class="sub muted">${formatSize(d.size)} • ${d.type || ''} ${d.uploadDate ? '• ' + d.uploadDate : ''}</div>`;
+    // OCR'd text may misread characters, so citations into those pages are approximate
+    const ocr = d.ocrPages?.length
+      ? ` • <span title="Text recognised by OCR; citations may be approximate">OCR${d.type === 'pdf' ? ' p.' + d.ocrPages.join(', ') : ''}</span>`
+      : '';
+    const members = d.members ? ` • ${d.members.length} indexed file${d.members.length === 1 ? '' : 's'}` : '';
+    meta.innerHTML = `<div class="name">${d.name}</div><div class="sub muted">${formatSize(d.size)} • ${d.type || ''} ${d.uploadDate ? '• ' + d.uploadDate : ''}${ocr}${members}</div>`;
+    // Document properties and tags come from the file or its sidecar; built as text, not HTML
+    const props = [d.meta?.title, d.meta?.author, d.meta?.created ? String(d.meta.created).slice(0, 10) : null].filter(Boolean);
+    if (props.length || d.tags?.length) {
+      const info = document.createElement('div');
+      info.className = 'sub muted';
+      info.textContent = [props.join(' • '), d.tags?.length ? `tags: ${d.tags.join(', ')}` : ''].filter(Boolean).join(' • ');
+      meta.appendChild(info);
+    }
+    if (d.duplicates?.length) {
+      const dup = document.createElement('div');
+      dup.className = 'sub muted';
+      dup.title = 'Share of this file\'s passages that also appear in the other file; search shows them once';
+      dup.textContent = `near-duplicate of ${d.duplicates.map((x) => `${x.name} (${Math.round(x.overlap * 100)}%)`).join(', ')}`;
+      meta.appendChild(dup);
+    }
+    const report = d.report;
+    if (report && report.status !== 'ok') {
+      const status = document.createElement('div');
+      status.className = 'sub muted';
+      const label = { error: 'failed', empty: 'no text extracted', warning: 'indexed with warnings' }[report.status] || report.status;
+      status.textContent = `${label} (${report.extractor || 'unknown'}): ${report.error || report.warnings?.[0] || `${report.chunks} chunks`}`;
+      status.title = [report.error, ...(report.warnings || [])].filter(Boolean).join('\n');
+      meta.appendChild(status);
+    } else if (!report) {
+      const status = document.createElement('div');
+      status.className = 'sub muted';
+      status.textContent = 'not indexed yet';
+      meta.appendChild(status);
+    }
     const actions = document.createElement('div');
     actions.className = 'doc-actions';
+    const tagBtn = document.createElement('button');
+    tagBtn.className = 'btn-secondary';
+    tagBtn.textContent = 'Tags';
+    tagBtn.addEventListener('click', async () => {
+      const input = prompt(`Tags for ${d.name} (comma separated)`, (d.tags || []).join(', '));
+      if (input === null) return;
+      const tags = input.split(',').map((t) => t.trim()).filter(Boolean);
+      const resp = await fetch(`/api/documents/${encodeURIComponent(d.name)}/meta`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ tags }),
+      });
+      const json = await resp.json().catch(() => ({}));
+      if (json.success) await refreshDocuments();
+      else alert(json.error || 'Failed to save tags');
+    });
+    actions.appendChild(tagBtn);
     const del = document.createElement('button');
     del.className = 'btn-secondary';
     del.textContent = 'Delete';
@@ -228,11 +677,102 @@ function renderDocuments() {
   }
 }
 
+// Web sources: crawled sites listed with their last crawl; refreshed while a crawl runs
+let webPollTimer = null;
+
+async function refreshWebSources() {
+  if (!els.webListing) return;
+  clearTimeout(webPollTimer);
+  let sources = [];
+  try {
+    const json = await (await fetch('/api/web/sources')).json();
+    if (json.success) sources = json.data.sources || [];
+  } catch {}
+  els.webListing.innerHTML = '';
+  if (!sources.length) {
+    els.webListing.innerHTML = '<div class="muted">No web sources.</div>';
+    return;
+  }
+  for (const s of sources) {
+    const row = document.createElement('div');
+    row.className = 'doc-row';
+    const meta = document.createElement('div');
+    meta.className = 'doc-meta';
+    const name = document.createElement('div');
+    name.className = 'name';
+    name.textContent = s.url;
+    const sub = document.createElement('div');
+    sub.className = 'sub muted';
+    const r = s.lastResult;
+    const last = s.crawling
+      ? 'crawling…'
+      : (s.lastCrawledAt ? `${r?.pages ?? 0} pages • crawled ${s.lastCrawledAt}${r?.failed ? ` • ${r.failed} failed` : ''}${r?.truncated ? ' • page limit reached' : ''}` : 'not crawled yet');
+    const schedule = s.recrawlHours > 0 ? `every ${s.recrawlHours} h` : 'manual';
+    sub.textContent = `${s.domain} • depth ${s.maxDepth} • ${schedule} • ${last}`;
+    meta.appendChild(name);
+    meta.appendChild(sub);
+    const actions = document.createElement('div');
+    actions.className = 'doc-actions';
+    const crawl = document.createElement('button');
+    crawl.className = 'btn-secondary';
+    crawl.textContent = 'Crawl now';
+    crawl.disabled = Boolean(s.crawling);
+    crawl.addEventListener('click', async () => {
+      crawl.disabled = true;
+      const pending = fetch(`/api/web/sources/${encodeURIComponent(s.id)}/crawl`, { method: 'POST' });
+      setTimeout(refreshWebSources, 300);
+      const json = await (await pending).json().catch(() => ({}));
+      if (!json.success) alert(json.error || 'Crawl failed');
+      await refreshWebSources();
+    });
+    const del = document.createElement('button');
+    del.className = 'btn-secondary';
+    del.textContent = 'Remove';
+    del.addEventListener('click', async () => {
+      if (!confirm(`Remove ${s.url} and its pages from the index?`)) return;
+      const json = await (await fetch(`/api/web/sources/${encodeURIComponent(s.id)}`, { method: 'DELETE' })).json().catch(() => ({}));
+      if (!json.success) alert(json.error || 'Failed to remove');
+      await refreshWebSources();
+    });
+    actions.appendChild(crawl);
+    actions.appendChild(del);
+    row.appendChild(meta);
+    row.appendChild(actions);
+    els.webListing.appendChild(row);
+  }
+  if (sources.some((s) => s.crawling)) webPollTimer = setTimeout(refreshWebSources, 2000);
+}
+
+async function addWebSource(e) {
+  e.preventDefault();
+  const body = { url: els.webUrl.value.trim() };
+  if (els.webDomain.value.trim()) body.domain = els.webDomain.value.trim();
+  if (els.webDepth.value !== '') body.maxDepth = Number(els.webDepth.value);
+  if (els.webRecrawl.value !== '') body.recrawlHours = Number(els.webRecrawl.value);
+  els.webStatus.textContent = 'Adding...';
+  try {
+    const resp = await fetch('/api/web/sources', {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body),
+    });
+    const json = await resp.json().catch(() => ({}));
+    if (!json.success) {
+      els.webStatus.textContent = json.error || 'Failed to add';
+      return;
+    }
+    els.webStatus.textContent = 'Crawling in the background';
+    els.webForm.reset();
+    await refreshWebSources();
+  } catch {
+    els.webStatus.textContent = 'Network error';
+  }
+}
+
 async function uploadFiles(files) {
-  const allowed = ['pdf','docx','md','txt','html','htm','csv','tsv','log','json','jsonl','yaml','yml','ipynb','xlsx','epub','pptx'];
+  const allowed = ['pdf','docx','md','txt','html','htm','csv','tsv','log','json','jsonl','yaml','yml','ipynb','xlsx','epub','pptx','eml','mbox','png','jpg','jpeg','tif','tiff','zip','tar','tgz','tar.gz'];
   const maxBytes = 20 * 1024 * 1024;
   for (const f of files) {
-    const ext = (f.name.split('.').pop() || '').toLowerCase();
+    const lower = f.name.toLowerCase();
+    const ext = lower.endsWith('.tar.gz') ? 'tar.gz' : (lower.split('.').pop() || '');
     if (!allowed.includes(ext)) continue;
     if (f.size > maxBytes) continue;
     const contentBase64 = await fileToBase64(f);
@@ -294,12 +834,14 @@ async function rebuildIndex() {
         return;
       }
       if (st.stage === 'done') {
-        els.rebuildStatus.textContent = `Indexed ${st.processed} chunks`;
+        const delta = Number.isFinite(st.removed) ? ` (${st.added + st.changed} updated, ${st.removed} removed)` : '';
+        els.rebuildStatus.textContent = `Indexed ${st.processed} chunks${delta}`;
         if (els.rebuildBar) els.rebuildBar.style.width = '100%';
         els.rebuildBtn.disabled = false;
         els.uploadZone?.classList.remove('disabled');
         if (els.filePicker) els.filePicker.disabled = false;
         await refreshDocuments();
+        await refreshIndexStatus();
         return;
       }
       // Progress
@@ -0,0 +1,60 @@
+import { apiUrl, configError, getJson, httpError, postJson, readSse, splitMessages } from './llmHttp.js';
+
+// Anthropic Messages API. System prompts go in `system`, turns must alternate, and streamed text
+// arrives as content_block_delta events; an `error` event mid-stream (e.g. overloaded) is thrown
+// with a 5xx-like status so the failover logic treats it as transient.
+
+export const type = 'anthropic';
+export const API_KEY_ENV = 'ANTHROPIC_API_KEY';
+export const DEFAULT_BASE_URL = 'https://api.anthropic.com';
+const API_VERSION = '2023-06-01';
+
+export function builtinProfile(s) {
+  return {
+    id: 'anthropic',
+    name: 'Anthropic',
+    type,
+    model: s.anthropic?.model || process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+    apiKey: s.anthropic?.apiKey || process.env.ANTHROPIC_API_KEY || '',
+  };
+}
+
+function headers(p) {
+  if (!p.apiKey) throw configError(`Missing Anthropic API key for profile ${p.id}`);
+  return { 'x-api-key': p.apiKey, 'anthropic-version': API_VERSION };
+}
+
+function request(p, messages, { temperature, max_tokens }, stream) {
+  const { system, turns } = splitMessages(messages);
+  return postJson(apiUrl(p.baseUrl || DEFAULT_BASE_URL, '/v1/messages'), {
+    headers: headers(p),
+    body: { model: p.model, ...(system ? { system } : {}), messages: turns, max_tokens, temperature, ...(stream ? { stream: true } : {}) },
+  });
+}
+
+export async function complete(p, messages, opts) {
+  const data = await (await request(p, messages, opts, false)).json();
+  return (data.content || []).filter((b) => b.type === 'text').map((b) => b.text).join('');
+}
+
+export async function* stream(p, messages, opts) {
+  const res = await request(p, messages, opts, true);
+  for await (const { event, data } of readSse(res)) {
+    let json;
+    try { json = JSON.parse(data); } catch { continue; }
+    if (event === 'content_block_delta' && json.delta?.type === 'text_delta') {
+      if (json.delta.text) yield json.delta.text;
+    } else if (event === 'error') {
+      const type = json.error?.type || 'error';
+      throw httpError(type === 'overloaded_error' ? 529 : type === 'rate_limit_error' ? 429 : 500, `${type}: ${json.error?.message || ''}`);
+    } else if (event === 'message_stop') {
+      return;
+    }
+  }
+}
+
+// The models endpoint does not report context windows
+export async function listModels(p) {
+  const json = await getJson(apiUrl(p.baseUrl || DEFAULT_BASE_URL, '/v1/models?limit=1000'), { headers: headers(p) });
+  return (json.data || []).map((m) => ({ id: m.id, contextLength: null }));
+}
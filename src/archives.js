@@ -0,0 +1,176 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { promisify } from 'node:util';
+import unzipper from 'unzipper';
+
+// Reads .zip, .tar, .tar.gz/.tgz bundles (nested up to ARCHIVE_MAX_DEPTH) into memory, member by
+// member. Member names are only ever used as virtual paths ("bundle.zip!/specs/a.pdf"), never as
+// filesystem paths, and names that are absolute or climb out with ".." are skipped.
+// Zip bombs are bounded by entry count, per-member and total uncompressed bytes, and the
+// compression ratio; sizes are counted while inflating, not taken from the headers.
+
+const ARCHIVE_MAX_DEPTH = Number(process.env.ARCHIVE_MAX_DEPTH || 2); // levels of archives; 2 = one nested level
+const ARCHIVE_MAX_ENTRIES = Number(process.env.ARCHIVE_MAX_ENTRIES || 5000);
+const ARCHIVE_MAX_ENTRY_BYTES = Number(process.env.ARCHIVE_MAX_ENTRY_BYTES || 100 * 1024 * 1024);
+const ARCHIVE_MAX_TOTAL_BYTES = Number(process.env.ARCHIVE_MAX_TOTAL_BYTES || 500 * 1024 * 1024);
+const ARCHIVE_MAX_RATIO = Number(process.env.ARCHIVE_MAX_RATIO || 200); // uncompressed / compressed
+
+const gunzip = promisify(zlib.gunzip);
+
+export const ARCHIVE_EXTS = ['.zip', '.tar', '.tar.gz', '.tgz'];
+
+// Extension aware of double extensions: "a.tar.gz" -> ".tar.gz"
+export function fileExt(name) {
+  const lower = String(name).toLowerCase();
+  if (lower.endsWith('.tar.gz')) return '.tar.gz';
+  return path.extname(lower);
+}
+
+export const isArchive = (name) => ARCHIVE_EXTS.includes(fileExt(name));
+
+function limitError(message) {
+  const err = new Error(message);
+  err.code = 'ARCHIVE_LIMIT';
+  return err;
+}
+
+// "specs\\a.pdf" -> "specs/a.pdf"; null for names that are absolute or escape the archive root
+export function safeMemberName(name) {
+  const n = String(name || '').replace(/\\/g, '/');
+  if (!n || n.includes('\0') || n.startsWith('/') || /^[a-z]:/i.test(n)) return null;
+  const parts = [];
+  for (const part of n.split('/')) {
+    if (!part || part === '.') continue;
+    if (part === '..') return null;
+    parts.push(part);
+  }
+  return parts.length ? parts.join('/') : null;
+}
+
+// Shared budget across one top-level archive and everything nested in it
+function createBudget() {
+  return {
+    entries: 0,
+    bytes: 0,
+    take(size) {
+      if (++this.entries > ARCHIVE_MAX_ENTRIES) throw limitError(`more than ${ARCHIVE_MAX_ENTRIES} entries`);
+      if (size > ARCHIVE_MAX_ENTRY_BYTES) throw limitError(`member larger than ${ARCHIVE_MAX_ENTRY_BYTES} bytes`);
+      this.add(size);
+    },
+    add(size) {
+      this.bytes += size;
+      if (this.bytes > ARCHIVE_MAX_TOTAL_BYTES) throw limitError(`more than ${ARCHIVE_MAX_TOTAL_BYTES} bytes uncompressed`);
+    },
+  };
+}
+
+async function readStreamLimited(stream, limit) {
+  const parts = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    size += chunk.length;
+    if (size > limit) {
+      stream.destroy?.();
+      throw limitError(`member inflates past ${limit} bytes`);
+    }
+    parts.push(chunk);
+  }
+  return Buffer.concat(parts);
+}
+
+async function* zipMembers(source) {
+  const dir = Buffer.isBuffer(source) ? await unzipper.Open.buffer(source) : await unzipper.Open.file(source);
+  if (dir.files.length > ARCHIVE_MAX_ENTRIES) throw limitError(`more than ${ARCHIVE_MAX_ENTRIES} entries`);
+  for (const entry of dir.files) {
+    if (entry.type !== 'File') continue;
+    const declared = Number(entry.uncompressedSize || 0);
+    const compressed = Number(entry.compressedSize || 0);
+    if (compressed > 0 && declared / compressed > ARCHIVE_MAX_RATIO) throw limitError(`compression ratio above ${ARCHIVE_MAX_RATIO}`);
+    yield {
+      name: entry.path,
+      declared,
+      read: async () => {
+        // Inflating past the declared size means the header lied; stop there
+        const data = await readStreamLimited(entry.stream(), Math.min(ARCHIVE_MAX_ENTRY_BYTES, declared || ARCHIVE_MAX_ENTRY_BYTES));
+        if (compressed > 0 && data.length / compressed > ARCHIVE_MAX_RATIO) throw limitError(`compression ratio above ${ARCHIVE_MAX_RATIO}`);
+        return data;
+      },
+    };
+  }
+}
+
+function tarString(buf, start, length) {
+  const end = buf.indexOf(0, start);
+  return buf.toString('utf-8', start, end >= 0 && end < start + length ? end : start + length);
+}
+
+// ustar with GNU long names and pax "path" records; only regular files are returned
+function* tarMembers(buf) {
+  let offset = 0;
+  let longName = null;
+  while (offset + 512 <= buf.length) {
+    const header = buf.subarray(offset, offset + 512);
+    if (header.every((b) => b === 0)) break;
+    const size = parseInt(tarString(header, 124, 12).trim() || '0', 8);
+    const type = String.fromCharCode(header[156] || 48);
+    const prefix = tarString(header, 345, 155);
+    let name = tarString(header, 0, 100);
+    if (prefix) name = `${prefix}/${name}`;
+    const bodyStart = offset + 512;
+    if (!Number.isFinite(size) || size < 0 || bodyStart + size > buf.length) throw new Error('truncated tar archive');
+    const body = buf.subarray(bodyStart, bodyStart + size);
+    offset = bodyStart + Math.ceil(size / 512) * 512;
+    if (type === 'L') { longName = tarString(body, 0, body.length); continue; }
+    if (type === 'x') {
+      const m = body.toString('utf-8').match(/\d+ path=([^\n]*)\n/);
+      if (m) longName = m[1];
+      continue;
+    }
+    if (longName) { name = longName; longName = null; }
+    if (type === '0' || type === '\0' || type === '7') yield { name, data: body };
+  }
+}
+
+async function* tarArchiveMembers(source, ext, budget) {
+  const raw = Buffer.isBuffer(source) ? source : await fs.readFile(source);
+  let buf = raw;
+  if (ext !== '.tar') {
+    try {
+      // Off the event loop: a large .tar.gz would otherwise stall every request while it inflates
+      buf = await gunzip(raw, { maxOutputLength: ARCHIVE_MAX_TOTAL_BYTES - budget.bytes });
+    } catch (e) {
+      if (e.code === 'ERR_BUFFER_TOO_LARGE') throw limitError(`more than ${ARCHIVE_MAX_TOTAL_BYTES} bytes uncompressed`);
+      throw e;
+    }
+    if (buf.length / Math.max(1, raw.length) > ARCHIVE_MAX_RATIO) throw limitError(`compression ratio above ${ARCHIVE_MAX_RATIO}`);
+  }
+  for (const { name, data } of tarMembers(buf)) yield { name, declared: data.length, read: async () => data };
+}
+
+// Yields { name: "specs/a.pdf" | "inner.zip!/x.pdf", data } for every member `accept(name)` wants.
+// Nested archives are opened in place; unsafe names are skipped. Limit violations throw
+// an error with code ARCHIVE_LIMIT.
+export async function* archiveMembers(source, { accept = () => true, ext = fileExt(source), depth = 0, budget = createBudget() } = {}) {
+  const members = ext === '.zip' ? zipMembers(source) : tarArchiveMembers(source, ext, budget);
+  for await (const member of members) {
+    const name = safeMemberName(member.name);
+    if (!name) {
+      console.warn(`[archive] skipping unsafe member name ${JSON.stringify(member.name)}`);
+      continue;
+    }
+    const memberExt = fileExt(name);
+    const nested = ARCHIVE_EXTS.includes(memberExt);
+    if (nested ? depth + 1 >= ARCHIVE_MAX_DEPTH : !accept(name)) continue;
+    budget.take(member.declared);
+    const data = await member.read();
+    if (data.length > member.declared) budget.add(data.length - member.declared);
+    if (!nested) {
+      yield { name, data };
+      continue;
+    }
+    for await (const inner of archiveMembers(data, { accept, ext: memberExt, depth: depth + 1, budget })) {
+      yield { name: `${name}!/${inner.name}`, data: inner.data };
+    }
+  }
+}
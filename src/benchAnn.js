@@ -0,0 +1,98 @@
+import { loadIndex, cosineSimilarity } from './retriever.js';
+import { buildIvf, searchIvf } from './ivfIndex.js';
+
+// Compares IVF recall@k and latency against the exact linear scan.
+// Usage: npm run bench:ann [-- --queries 200 --k 10 --nprobe 4,8,16,32 --synthetic 100000]
+// Queries are stored vectors (slightly perturbed); --synthetic benchmarks random clustered
+// vectors instead of the saved index.
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i >= 0 && process.argv[i + 1] !== undefined ? process.argv[i + 1] : fallback;
+}
+
+function normalize(v) {
+  let n = 0;
+  for (let i = 0; i < v.length; i++) n += v[i] * v[i];
+  n = Math.sqrt(n) || 1;
+  for (let i = 0; i < v.length; i++) v[i] /= n;
+  return v;
+}
+
+function syntheticVectors(count, dim, clusters = 64) {
+  const centers = Array.from({ length: clusters }, () => normalize(Float32Array.from({ length: dim }, () => Math.random() - 0.5)));
+  const vectors = new Float32Array(count * dim);
+  for (let i = 0; i < count; i++) {
+    const c = centers[i % clusters];
+    const v = Float32Array.from(c, (x) => x + (Math.random() - 0.5) * 0.15);
+    vectors.set(normalize(v), i * dim);
+  }
+  return vectors;
+}
+
+function exactTopK(vectors, dim, count, query, k) {
+  const scored = [];
+  for (let i = 0; i < count; i++) scored.push({ index: i, score: cosineSimilarity(query, vectors.subarray(i * dim, (i + 1) * dim)) });
+  scored.sort((a, b) => b.score - a.score);
+  return scored.slice(0, k);
+}
+
+async function main() {
+  const queries = Number(arg('queries', process.env.BENCH_QUERIES || 200));
+  const k = Number(arg('k', process.env.BENCH_K || 10));
+  const nprobes = String(arg('nprobe', process.env.BENCH_NPROBE || '4,8,16,32')).split(',').map(Number).filter(Boolean);
+  const synthetic = Number(arg('synthetic', process.env.BENCH_SYNTHETIC || 0));
+
+  let vectors;
+  let dim;
+  let ann = null;
+  if (synthetic) {
+    dim = Number(arg('dim', 384));
+    vectors = syntheticVectors(synthetic, dim);
+  } else {
+    const index = await loadIndex();
+    if (!index.items.length) throw new Error('Index is empty; run `npm run ingest` or pass --synthetic N');
+    ({ vectors, dim } = index);
+    ann = index.ann;
+  }
+  const count = vectors.length / dim;
+  if (!ann) {
+    const started = Date.now();
+    ann = buildIvf(vectors, dim);
+    console.log(`[bench] built IVF (${ann.nlist} lists) over ${count} vectors in ${Date.now() - started} ms`);
+  }
+
+  const qs = [];
+  for (let q = 0; q < queries; q++) {
+    const i = Math.floor(Math.random() * count);
+    const v = Float32Array.from(vectors.subarray(i * dim, (i + 1) * dim), (x) => x + (Math.random() - 0.5) * 0.05);
+    qs.push(normalize(v));
+  }
+
+  let exactMs = 0;
+  const truth = qs.map((q) => {
+    const t0 = performance.now();
+    const top = exactTopK(vectors, dim, count, q, k);
+    exactMs += performance.now() - t0;
+    return new Set(top.map((r) => r.index));
+  });
+  console.log(`[bench] ${count} vectors, dim ${dim}, ${queries} queries, k=${k}`);
+  console.log(`exact     recall@${k}=1.000  avg ${(exactMs / queries).toFixed(2)} ms`);
+  for (const nprobe of nprobes) {
+    let hits = 0;
+    let ms = 0;
+    qs.forEach((q, j) => {
+      const t0 = performance.now();
+      const top = searchIvf(ann, vectors, q, { nprobe, limit: k });
+      ms += performance.now() - t0;
+      hits += top.filter((r) => truth[j].has(r.index)).length;
+    });
+    const recall = hits / (queries * k);
+    console.log(`nprobe=${String(nprobe).padEnd(3)} recall@${k}=${recall.toFixed(3)}  avg ${(ms / queries).toFixed(2)} ms`);
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,60 @@
+// Lexical BM25 index over chunk texts. Complements the embedding ranking for exact
+// identifiers (error codes, part numbers, function names) that MiniLM tends to blur.
+
+const K1 = Number(process.env.BM25_K1 || 1.2);
+const B = Number(process.env.BM25_B || 0.75);
+
+// Identifiers such as `ERR-404`, `v2.3.1` or `part_no` are kept whole and also indexed by their parts
+export function tokenize(text) {
+  const tokens = [];
+  const re = /[\p{L}\p{N}]+(?:[-_./:#][\p{L}\p{N}]+)*/gu;
+  for (const m of String(text || '').toLowerCase().matchAll(re)) {
+    const tok = m[0];
+    tokens.push(tok);
+    if (/[-_./:#]/.test(tok)) {
+      for (const part of tok.split(/[-_./:#]+/)) if (part) tokens.push(part);
+    }
+  }
+  return tokens;
+}
+
+// postings: term -> flat [docIndex, termFrequency, docIndex, termFrequency, ...]
+export function buildBm25(texts) {
+  const postings = {};
+  const lengths = new Array(texts.length);
+  let total = 0;
+  for (let i = 0; i < texts.length; i++) {
+    const toks = tokenize(texts[i]);
+    const tf = new Map();
+    for (const tok of toks) tf.set(tok, (tf.get(tok) || 0) + 1);
+    lengths[i] = toks.length;
+    total += toks.length;
+    for (const [term, n] of tf) {
+      if (!Object.hasOwn(postings, term)) postings[term] = [];
+      postings[term].push(i, n);
+    }
+  }
+  return { count: texts.length, avgLength: texts.length ? total / texts.length : 0, lengths, postings };
+}
+
+// Returns Map<docIndex, score> for documents containing at least one query term
+export function scoreBm25(bm25, query, { allow = null } = {}) {
+  const scores = new Map();
+  if (!bm25 || !bm25.count) return scores;
+  const terms = new Set(tokenize(query));
+  for (const term of terms) {
+    if (!Object.hasOwn(bm25.postings, term)) continue;
+    const list = bm25.postings[term];
+    const df = list.length / 2;
+    const idf = Math.log(1 + (bm25.count - df + 0.5) / (df + 0.5));
+    for (let j = 0; j < list.length; j += 2) {
+      const doc = list[j];
+      if (allow && !allow.has(doc)) continue;
+      const tf = list[j + 1];
+      const norm = 1 - B + B * (bm25.lengths[doc] / (bm25.avgLength || 1));
+      const s = idf * ((tf * (K1 + 1)) / (tf + K1 * norm));
+      scores.set(doc, (scores.get(doc) || 0) + s);
+    }
+  }
+  return scores;
+}
@@ -0,0 +1,222 @@
+// Structure-aware chunking with a token budget.
+// Markdown (and HTML/DOCX/EPUB/notebooks converted to it) is split into heading sections,
+// then into blocks (paragraphs, pipe tables, fenced code), which are packed into chunks.
+// Only blocks larger than the budget are cut, along sentences or lines.
+// Plain text and PDF pages are packed paragraph by paragraph under the same budget.
+
+export const CHUNK_TOKEN_BUDGET = Number(process.env.CHUNK_TOKEN_BUDGET || 320);
+
+// Approximates WordPiece counts of MiniLM-style tokenizers without loading one:
+// one token per punctuation mark, roughly one per 6 characters of a word.
+export function estimateTokens(text) {
+  let n = 0;
+  for (const m of String(text || '').matchAll(/[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu)) {
+    n += m[0].length > 1 ? Math.ceil(m[0].length / 6) : 1;
+  }
+  return n;
+}
+
+function splitSentences(text) {
+  return text.split(/(?<=[.!?])\s+/).filter(Boolean);
+}
+
+// Tables and code split on lines; tables repeat their header rows, code keeps its fences
+function splitLines(block, budget) {
+  const lines = block.text.split('\n');
+  let head = [];
+  let body = lines;
+  let tail = [];
+  if (block.type === 'table') {
+    head = lines.slice(0, 2);
+    body = lines.slice(2);
+  } else {
+    const marker = lines[0].trim().match(/^(`{3,}|~{3,})/)?.[1] || '```';
+    const closed = lines.length > 1 && lines[lines.length - 1].trim().startsWith(marker);
+    head = [lines[0]];
+    body = lines.slice(1, closed ? -1 : undefined);
+    tail = [marker];
+  }
+  const frame = estimateTokens([...head, ...tail].join('\n'));
+  const pieces = [];
+  let current = [];
+  let tokens = frame;
+  for (const line of body) {
+    const t = estimateTokens(line);
+    if (current.length && tokens + t > budget) {
+      pieces.push([...head, ...current, ...tail].join('\n'));
+      current = [];
+      tokens = frame;
+    }
+    current.push(line);
+    tokens += t;
+  }
+  if (current.length) pieces.push([...head, ...current, ...tail].join('\n'));
+  return pieces;
+}
+
+// Cut an oversized block: prose on sentences, then words
+function splitBlock(block, budget) {
+  if (block.type === 'table' || block.type === 'code') return splitLines(block, budget);
+  const pieces = [];
+  let buf = '';
+  for (const sentence of splitSentences(block.text)) {
+    const candidate = buf ? `${buf} ${sentence}` : sentence;
+    if (estimateTokens(candidate) <= budget) { buf = candidate; continue; }
+    if (buf) pieces.push(buf);
+    if (estimateTokens(sentence) <= budget) { buf = sentence; continue; }
+    // Single sentence over budget: fall back to word windows
+    buf = '';
+    for (const word of sentence.split(/\s+/)) {
+      const next = buf ? `${buf} ${word}` : word;
+      if (buf && estimateTokens(next) > budget) { pieces.push(buf); buf = word; } else { buf = next; }
+    }
+  }
+  if (buf) pieces.push(buf);
+  return pieces;
+}
+
+// Parse Markdown into sections: [{ path: string[], blocks: [{ type, text }] }]
+export function parseMarkdownSections(md) {
+  const lines = String(md || '').replace(/\r\n?/g, '\n').split('\n');
+  const sections = [];
+  let stack = [];
+  let section = { path: [], blocks: [] };
+  let para = [];
+  let fence = null;
+  let code = [];
+  let table = [];
+
+  const flushPara = () => {
+    const text = para.join('\n').trim();
+    if (text) section.blocks.push({ type: 'text', text });
+    para = [];
+  };
+  const flushTable = () => {
+    if (table.length) section.blocks.push({ type: 'table', text: table.join('\n') });
+    table = [];
+  };
+
+  for (const line of lines) {
+    if (fence) {
+      code.push(line);
+      if (line.trim().startsWith(fence)) {
+        section.blocks.push({ type: 'code', text: code.join('\n') });
+        fence = null;
+        code = [];
+      }
+      continue;
+    }
+    const fenceOpen = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fenceOpen) {
+      flushPara(); flushTable();
+      fence = fenceOpen[1];
+      code = [line];
+      continue;
+    }
+    const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      flushPara(); flushTable();
+      if (section.blocks.length) sections.push(section);
+      const level = heading[1].length;
+      stack = stack.slice(0, level - 1);
+      stack[level - 1] = heading[2].trim();
+      section = { path: stack.filter(Boolean), blocks: [{ type: 'heading', text: line.trim() }] };
+      continue;
+    }
+    if (/^\s*\|/.test(line)) {
+      flushPara();
+      table.push(line.trim());
+      continue;
+    }
+    flushTable();
+    if (!line.trim()) { flushPara(); continue; }
+    para.push(line);
+  }
+  if (fence && code.length) section.blocks.push({ type: 'code', text: code.join('\n') });
+  flushPara(); flushTable();
+  if (section.blocks.length) sections.push(section);
+  return sections;
+}
+
+const isWithin = (path, parent) => parent.every((p, i) => path[i] === p);
+
+// Returns [{ text, headingPath }]; headingPath is "A > B > C" or null outside any heading.
+// Small child sections are merged into their parent's chunk while the budget allows.
+export function chunkMarkdown(md, { budget = CHUNK_TOKEN_BUDGET } = {}) {
+  const chunks = [];
+  let current = null; // { path, parts, tokens }
+  const flush = () => {
+    if (current && current.parts.some((p) => p.type !== 'heading')) {
+      chunks.push({ text: current.parts.map((p) => p.text).join('\n\n'), headingPath: current.path.length ? current.path.join(' > ') : null });
+    }
+    current = null;
+  };
+  for (const section of parseMarkdownSections(md)) {
+    // Text before the first heading is not a parent of anything
+    if (current && !(current.path.length && isWithin(section.path, current.path))) flush();
+    for (const block of section.blocks) {
+      const pieces = estimateTokens(block.text) > budget ? splitBlock(block, budget).map((text) => ({ type: block.type, text })) : [block];
+      for (const piece of pieces) {
+        const tokens = estimateTokens(piece.text);
+        let carried = [];
+        if (current && current.tokens + tokens > budget) {
+          // A heading never ends a chunk; it moves on with its first block
+          while (current.parts.length && current.parts[current.parts.length - 1].type === 'heading') carried.unshift(current.parts.pop());
+          flush();
+        }
+        if (!current) current = { path: section.path, parts: carried, tokens: carried.reduce((n, p) => n + estimateTokens(p.text), 0) };
+        current.parts.push(piece);
+        current.tokens += tokens;
+      }
+    }
+  }
+  flush();
+  // A document that is nothing but headings still gets indexed
+  if (!chunks.length && String(md || '').trim()) chunks.push({ text: String(md).trim(), headingPath: null });
+  return chunks;
+}
+
+// Paragraphs of prose, with any paragraph over the budget already cut
+function paragraphPieces(text, budget) {
+  const pieces = [];
+  for (const para of String(text || '').split(/\n\s*\n/)) {
+    const trimmed = para.trim();
+    if (!trimmed) continue;
+    // PDF layout emits pipe tables; keep their header row when they are cut
+    const type = trimmed.split('\n').every((l) => l.startsWith('|')) ? 'table' : 'text';
+    if (estimateTokens(trimmed) > budget) pieces.push(...splitBlock({ type, text: trimmed }, budget));
+    else pieces.push(trimmed);
+  }
+  return pieces;
+}
+
+// Paragraph-packing for unstructured prose (plain text, logs of prose)
+export function chunkParagraphs(text, { budget = CHUNK_TOKEN_BUDGET } = {}) {
+  return chunkPages([{ pageNumber: null, text }], { budget }).map(({ text: t }) => ({ text: t, headingPath: null }));
+}
+
+// Paragraph-packing for paged text: [{ pageNumber, text, ocr? }] -> [{ text, pageNumber, pageEnd, ocr }].
+// Every page starts a new chunk unless `span` is set, in which case a chunk may run onto the
+// following page(s) and pageEnd records where it stops.
+export function chunkPages(pages, { budget = CHUNK_TOKEN_BUDGET, span = false } = {}) {
+  const chunks = [];
+  let buf = null; // { parts, tokens, pageNumber, pageEnd }
+  const flush = () => {
+    if (buf) chunks.push({ text: buf.parts.join('\n\n'), pageNumber: buf.pageNumber, pageEnd: buf.pageEnd, ocr: buf.ocr });
+    buf = null;
+  };
+  for (const { pageNumber, text, ocr = false } of pages) {
+    if (!span) flush();
+    for (const piece of paragraphPieces(text, budget)) {
+      const tokens = estimateTokens(piece);
+      if (buf && buf.tokens + tokens > budget) flush();
+      if (!buf) buf = { parts: [], tokens: 0, pageNumber, pageEnd: pageNumber, ocr: false };
+      buf.ocr ||= ocr;
+      buf.parts.push(piece);
+      buf.tokens += tokens;
+      buf.pageEnd = pageNumber;
+    }
+  }
+  flush();
+  return chunks;
+}
@@ -0,0 +1,185 @@
+import { CHUNK_TOKEN_BUDGET, estimateTokens } from './chunkers.js';
+
+// Language-aware chunking for source files without a parser: declarations (functions, classes,
+// types) are found with per-language patterns at the file's top indentation, together with the
+// comments and decorators directly above them. Small neighbours are packed into one chunk; a
+// declaration over the budget is split again at its members (methods), and only then by lines.
+// Every chunk records its 1-based line range and the names of the declarations it holds.
+
+const JS_MODIFIERS = '(?:(?:public|private|protected|static|readonly|async|get|set|override|abstract|declare)\\s+)*';
+const JVM_MODIFIERS = '(?:(?:public|private|protected|internal|static|final|abstract|sealed|open|data|override|partial|async|virtual|synchronized|inline|suspend)\\s+)*';
+const NOT_KEYWORD = '(?!(?:if|for|while|switch|catch|return|else|do|new|throw|typeof|await)\\b)';
+
+const LANGUAGES = [
+  {
+    exts: ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'],
+    decl: [
+      /^(?:export\s+(?:default\s+)?)?(?:declare\s+)?(?:abstract\s+)?(?:async\s+)?(?:function\s*\*?|class|interface|enum|namespace|module)\s*([\w$.]+)?/,
+      /^(?:export\s+)?type\s+([\w$]+)/,
+      /^(?:export\s+)?(?:const|let|var)\s+([\w$]+)\s*(?::[^=]+)?=\s*(?:async\s*)?(?:function\b|\([^)]*\)?\s*(?::[^=]+)?=>|[\w$]+\s*=>|\(\s*$|class\b)/,
+    ],
+    member: [new RegExp(`^${JS_MODIFIERS}\\*?${NOT_KEYWORD}([\\w$#]+)\\s*(?:<[^>]*>)?\\s*\\([^;]*$`)],
+    lead: /^(\/\/|\/\*|\*|@)/,
+  },
+  {
+    exts: ['.py'],
+    decl: [/^(?:async\s+)?(?:def|class)\s+(\w+)/],
+    lead: /^(#|@)/,
+  },
+  {
+    exts: ['.go'],
+    decl: [/^func\s+(?:\([^)]*\)\s*)?(\w+)/, /^type\s+(\w+)/],
+    lead: /^\/\//,
+  },
+  {
+    exts: ['.rs'],
+    decl: [/^(?:pub(?:\([^)]*\))?\s+)?(?:async\s+)?(?:unsafe\s+)?(?:const\s+)?(?:fn|struct|enum|trait|union|mod|macro_rules!)\s+(\w+)/, /^(?:unsafe\s+)?impl(?:<[^>]*>)?\s+([\w:<>, ]+?)\s*(?:\{|$|where)/],
+    lead: /^(\/\/|#\[|#!\[)/,
+  },
+  {
+    exts: ['.java', '.kt', '.kts', '.cs', '.scala', '.swift'],
+    decl: [new RegExp(`^${JVM_MODIFIERS}(?:class|interface|enum|record|struct|object|trait|fun|func|def|extension|protocol|namespace)\\s+([\\w.]+)`)],
+    member: [new RegExp(`^${JVM_MODIFIERS}${NOT_KEYWORD}(?:[\\w<>\\[\\],.?]+\\s+)+([\\w]+)\\s*\\([^;]*$`)],
+    lead: /^(\/\/|\/\*|\*|@|\[)/,
+  },
+  {
+    exts: ['.rb'],
+    decl: [/^(?:def|class|module)\s+([\w.:?!=]+)/],
+    lead: /^#/,
+  },
+  {
+    exts: ['.php'],
+    decl: [/^(?:(?:abstract|final|public|private|protected|static|readonly)\s+)*(?:function|class|interface|trait|enum)\s+&?(\w+)/],
+    lead: /^(\/\/|\/\*|\*|#)/,
+  },
+  {
+    exts: ['.c', '.h', '.cc', '.cpp', '.cxx', '.hpp', '.hh'],
+    decl: [
+      /^(?:typedef\s+)?(?:struct|class|enum|union|namespace)\s+(\w+)/,
+      new RegExp(`^${NOT_KEYWORD}(?:template\\s*<[^>]*>\\s*)?[\\w:<>,*&~ ]*?\\b([\\w:~]+)\\s*\\([^;]*$`),
+    ],
+    lead: /^(\/\/|\/\*|\*|template\b)/,
+  },
+  {
+    exts: ['.sh', '.bash', '.zsh'],
+    decl: [/^(?:function\s+)?([\w-]+)\s*\(\)\s*\{?\s*$/, /^function\s+([\w-]+)/],
+    lead: /^#/,
+  },
+  { exts: ['.sql', '.lua', '.r', '.pl', '.css', '.scss', '.vue', '.svelte'], decl: [] },
+];
+
+export const CODE_EXTS = LANGUAGES.flatMap((l) => l.exts);
+
+const indentOf = (line) => line.match(/^[ \t]*/)[0].replace(/\t/g, '    ').length;
+const isBlank = (line) => !line.trim();
+
+function declName(line, patterns) {
+  const trimmed = line.trim();
+  for (const re of patterns) {
+    const m = trimmed.match(re);
+    if (m) return m.slice(1).find(Boolean)?.trim() || '(anonymous)';
+  }
+  return null;
+}
+
+// Splits lines [from, to) into segments starting at declarations indented exactly `indent`.
+// Returns [{ start, end, name }] (end exclusive); the first segment may be a preamble (name null).
+function segmentsAt(lines, from, to, indent, patterns, lead) {
+  const starts = [];
+  for (let i = from; i < to; i++) {
+    if (isBlank(lines[i]) || indentOf(lines[i]) !== indent) continue;
+    const name = declName(lines[i], patterns);
+    if (!name) continue;
+    // Comments, doc blocks and decorators directly above belong to the declaration
+    let start = i;
+    while (start - 1 >= from && !isBlank(lines[start - 1]) && indentOf(lines[start - 1]) === indent && lead?.test(lines[start - 1].trim())) start -= 1;
+    if (starts.length && start <= starts[starts.length - 1].start) continue;
+    starts.push({ start, name });
+  }
+  if (!starts.length) return [{ start: from, end: to, name: null }];
+  const segments = [];
+  if (starts[0].start > from) segments.push({ start: from, end: starts[0].start, name: null });
+  starts.forEach((s, i) => segments.push({ start: s.start, end: i + 1 < starts.length ? starts[i + 1].start : to, name: s.name }));
+  return segments;
+}
+
+// Line windows for code with no usable declarations inside; prefers to cut at blank lines
+function splitByLines(lines, start, end, budget) {
+  const pieces = [];
+  let from = start;
+  let tokens = 0;
+  let lastBlank = -1;
+  for (let i = start; i < end; i++) {
+    const t = estimateTokens(lines[i]);
+    if (i > from && tokens + t > budget) {
+      const cut = lastBlank > from ? lastBlank : i;
+      pieces.push({ start: from, end: cut });
+      from = cut;
+      tokens = 0;
+      for (let j = from; j < i; j++) tokens += estimateTokens(lines[j]);
+      lastBlank = -1;
+    }
+    if (isBlank(lines[i])) lastBlank = i;
+    tokens += t;
+  }
+  if (from < end) pieces.push({ start: from, end });
+  return pieces;
+}
+
+// Segments no larger than the budget, each with the declaration path it belongs to
+function fitSegments(lines, segment, path, lang, budget) {
+  const size = estimateTokens(lines.slice(segment.start, segment.end).join('\n'));
+  const here = segment.name ? [...path, segment.name] : path;
+  if (size <= budget) return [{ ...segment, path: here }];
+  // Re-segment the body one indentation level deeper (class -> methods)
+  const body = [];
+  for (let i = segment.start + 1; i < segment.end; i++) if (!isBlank(lines[i])) body.push(indentOf(lines[i]));
+  const inner = Math.min(...body.filter((n) => n > indentOf(lines[segment.start])));
+  if (Number.isFinite(inner)) {
+    const patterns = [...lang.decl, ...(lang.member || [])];
+    const parts = segmentsAt(lines, segment.start, segment.end, inner, patterns, lang.lead);
+    if (parts.length > 1) return parts.flatMap((p) => fitSegments(lines, p, here, lang, budget));
+  }
+  // Windows of one oversized declaration are never packed with neighbours
+  return splitByLines(lines, segment.start, segment.end, budget).map((p) => ({ ...p, path: here, alone: true }));
+}
+
+// Source text -> [{ text, lineStart, lineEnd, headingPath }]; headingPath names the declarations
+// in the chunk ("Parser > parseExpr" or "a, b, c").
+export function chunkCode(source, ext, { budget = CHUNK_TOKEN_BUDGET } = {}) {
+  const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+  const lang = LANGUAGES.find((l) => l.exts.includes(ext)) || { decl: [] };
+  const segments = segmentsAt(lines, 0, lines.length, 0, lang.decl, lang.lead)
+    .flatMap((s) => fitSegments(lines, s, [], lang, budget));
+
+  const chunks = [];
+  let buf = null; // { start, end, tokens, paths, alone }
+  const flush = () => {
+    if (!buf) return;
+    let { start, end } = buf;
+    while (start < end && isBlank(lines[start])) start += 1;
+    while (end > start && isBlank(lines[end - 1])) end -= 1;
+    if (start < end) {
+      // "Parser" is implied by "Parser > parse"
+      const all = [...new Set(buf.paths.filter((p) => p.length).map((p) => p.join(' > ')))];
+      const names = all.filter((n) => !all.some((m) => m.startsWith(`${n} > `)));
+      chunks.push({
+        text: lines.slice(start, end).join('\n'),
+        lineStart: start + 1,
+        lineEnd: end,
+        headingPath: names.length ? (names.length > 3 ? `${names.slice(0, 3).join(', ')}, …` : names.join(', ')) : null,
+      });
+    }
+    buf = null;
+  };
+  for (const s of segments) {
+    const tokens = estimateTokens(lines.slice(s.start, s.end).join('\n'));
+    if (buf && (buf.alone || s.alone || buf.tokens + tokens > budget || buf.end !== s.start)) flush();
+    if (!buf) buf = { start: s.start, end: s.start, tokens: 0, paths: [], alone: s.alone };
+    buf.end = s.end;
+    buf.tokens += tokens;
+    buf.paths.push(s.path);
+  }
+  flush();
+  return chunks;
+}
@@ -0,0 +1,107 @@
+// Near-duplicate detection for chunks: MinHash signatures over word 3-shingles estimate how much
+// text two chunks share (Jaccard similarity); pairs at or above DEDUP_THRESHOLD are duplicates.
+// Short chunks have too few shingles for a stable estimate and only match when their normalised
+// text is equal. Candidate pairs come from LSH banding (16 bands of 4 values), so only chunks that
+// agree on a whole band are compared; at 0.8 similarity a true pair is missed about 1 time in 5000.
+
+export const DEDUP_ENABLED = process.env.DEDUP_ENABLED !== '0';
+const DEDUP_THRESHOLD = Number(process.env.DEDUP_THRESHOLD || 0.8); // estimated share of shingles in common
+const DEDUP_MIN_WORDS = 12; // below this only exact (normalised) duplicates are collapsed
+const HASHES = 64;
+const BANDS = 16;
+const ROWS = HASHES / BANDS;
+const HEX = 4; // each value keeps the low 16 bits of its minimum (b-bit MinHash)
+
+const words = (text) => String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+const normalise = (text) => words(text).join(' ');
+
+// murmur3 fmix32: spreads every input bit over the whole word
+function mix(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+const SEEDS = Array.from({ length: HASHES }, (_, i) => mix(0x9e3779b9 + i));
+
+// Text -> signature of HASHES values as one hex string
+export function minhash(text) {
+  const w = words(text);
+  const shingles = w.length < 3 ? [w.join(' ')] : w.slice(0, -2).map((_, i) => `${w[i]} ${w[i + 1]} ${w[i + 2]}`);
+  const mins = new Uint32Array(HASHES).fill(0xffffffff);
+  for (const s of new Set(shingles)) {
+    const base = fnv1a(s);
+    for (let i = 0; i < HASHES; i++) {
+      const h = mix(base ^ SEEDS[i]);
+      if (h < mins[i]) mins[i] = h;
+    }
+  }
+  return Array.from(mins, (m) => (m & 0xffff).toString(16).padStart(HEX, '0')).join('');
+}
+
+function similarity(a, b) {
+  let same = 0;
+  for (let i = 0; i < a.length; i += HEX) if (a.slice(i, i + HEX) === b.slice(i, i + HEX)) same += 1;
+  return same / HASHES;
+}
+
+// items: [{ text, minhash? }]; compare(i, j) < 0 when item i makes the better canonical.
+// Returns an array mapping every item index to the index of its group's canonical item.
+export function groupDuplicates(items, { compare = (i, j) => i - j } = {}) {
+  const parent = items.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  const signatures = items.map((it) => it.minhash || minhash(it.text));
+  const short = items.map((it) => words(it.text).length < DEDUP_MIN_WORDS);
+  const normalised = new Map();
+  const textOf = (i) => {
+    if (!normalised.has(i)) normalised.set(i, normalise(items[i].text));
+    return normalised.get(i);
+  };
+  const buckets = new Map();
+  signatures.forEach((sig, i) => {
+    for (let b = 0; b < BANDS; b++) {
+      const key = `${b}:${sig.slice(b * ROWS * HEX, (b + 1) * ROWS * HEX)}`;
+      const bucket = buckets.get(key);
+      if (bucket) bucket.push(i);
+      else buckets.set(key, [i]);
+    }
+  });
+  for (const bucket of buckets.values()) {
+    for (let x = 1; x < bucket.length; x++) {
+      for (let y = 0; y < x; y++) {
+        const i = bucket[x];
+        const j = bucket[y];
+        if (find(i) === find(j)) continue;
+        const near = short[i] || short[j]
+          ? textOf(i) === textOf(j)
+          : similarity(signatures[i], signatures[j]) >= DEDUP_THRESHOLD;
+        if (near) parent[find(i)] = find(j);
+      }
+    }
+  }
+  // Canonical = best member of each group
+  const best = new Map();
+  items.forEach((_, i) => {
+    const root = find(i);
+    if (!best.has(root) || compare(i, best.get(root)) < 0) best.set(root, i);
+  });
+  return items.map((_, i) => best.get(find(i)));
+}
@@ -0,0 +1,89 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Watches the docs folder and reports changed files in debounced batches, so a burst of copies
+// (or one large file being written) becomes a single incremental rebuild.
+// fs.watch is used where it works; bind mounts from Docker Desktop (macOS/Windows) do not deliver
+// inotify events, so `pollMs` switches to comparing mtime/size snapshots from `list()`.
+
+// Editor swap files, Office lock files ("~$report.docx") and other hidden files
+const isNoise = (abs) => /^[.~]/.test(path.basename(abs));
+
+// onChange(paths) gets absolute paths, or null when the platform could not say which files changed.
+// accept(abs) filters watch events (polling only ever sees listed files).
+export function watchDocs(dir, { onChange, accept = () => true, list, debounceMs = 2000, pollMs = 0 }) {
+  const base = path.resolve(dir);
+  const pending = new Set();
+  let unknown = false;
+  let debounce = null;
+  let pollTimer = null;
+  let watcher = null;
+  let closed = false;
+
+  const schedule = (abs) => {
+    if (abs === null) unknown = true;
+    else pending.add(abs);
+    clearTimeout(debounce);
+    debounce = setTimeout(() => {
+      const paths = unknown ? null : [...pending];
+      pending.clear();
+      unknown = false;
+      onChange(paths);
+    }, debounceMs);
+  };
+
+  let snapshot = null;
+  const poll = async () => {
+    try {
+      const next = new Map();
+      for (const f of await list()) {
+        try {
+          const st = await fs.promises.stat(f);
+          next.set(f, `${st.mtimeMs}:${st.size}`);
+        } catch {}
+      }
+      if (snapshot) {
+        for (const [f, sig] of next) if (snapshot.get(f) !== sig) schedule(f);
+        for (const f of snapshot.keys()) if (!next.has(f)) schedule(f);
+      }
+      snapshot = next;
+    } catch (e) {
+      console.warn(`[watch] scan failed: ${e.message || e}`);
+    }
+    if (!closed) pollTimer = setTimeout(poll, pollMs);
+  };
+
+  const startPolling = () => {
+    console.log(`[watch] polling ${base} every ${pollMs}ms`);
+    poll();
+  };
+
+  if (pollMs > 0) {
+    startPolling();
+  } else {
+    try {
+      watcher = fs.watch(base, { recursive: true }, (_event, name) => {
+        if (!name) return schedule(null);
+        const abs = path.join(base, name.toString());
+        if (isNoise(abs)) return;
+        // A path that is gone may have been a folder; the rebuild notices which files went with it
+        if (accept(abs) || !fs.existsSync(abs)) schedule(abs);
+      });
+      watcher.on('error', (e) => console.warn(`[watch] ${e.message || e}`));
+      console.log(`[watch] watching ${base}`);
+    } catch (e) {
+      console.warn(`[watch] fs.watch unavailable (${e.message || e}); falling back to polling`);
+      pollMs = 5000;
+      startPolling();
+    }
+  }
+
+  return {
+    close() {
+      closed = true;
+      clearTimeout(debounce);
+      clearTimeout(pollTimer);
+      watcher?.close();
+    },
+  };
+}
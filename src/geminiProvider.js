@@ -0,0 +1,67 @@
+import { apiUrl, configError, getJson, httpError, postJson, readSse, splitMessages } from './llmHttp.js';
+
+// Google Gemini (generativelanguage API). The assistant role is called `model`, system prompts go
+// in `systemInstruction`, and streaming uses `:streamGenerateContent?alt=sse`, each event holding
+// a partial candidate. A response blocked by safety filters has no text and says why.
+
+export const type = 'gemini';
+export const API_KEY_ENV = 'GEMINI_API_KEY';
+export const DEFAULT_BASE_URL = 'https://generativelanguage.googleapis.com';
+
+export function builtinProfile(s) {
+  return {
+    id: 'gemini',
+    name: 'Gemini',
+    type,
+    model: s.gemini?.model || process.env.GEMINI_MODEL || 'gemini-1.5-flash',
+    apiKey: s.gemini?.apiKey || process.env.GEMINI_API_KEY || '',
+  };
+}
+
+function headers(p) {
+  if (!p.apiKey) throw configError(`Missing Gemini API key for profile ${p.id}`);
+  return { 'x-goog-api-key': p.apiKey };
+}
+
+function request(p, messages, { temperature, max_tokens }, stream) {
+  const { system, turns } = splitMessages(messages);
+  const model = encodeURIComponent(p.model.replace(/^models\//, ''));
+  const url = apiUrl(p.baseUrl || DEFAULT_BASE_URL, `/v1beta/models/${model}:${stream ? 'streamGenerateContent?alt=sse' : 'generateContent'}`);
+  return postJson(url, {
+    headers: headers(p),
+    body: {
+      ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+      contents: turns.map((t) => ({ role: t.role === 'assistant' ? 'model' : 'user', parts: [{ text: t.content }] })),
+      generationConfig: { temperature, maxOutputTokens: max_tokens },
+    },
+  });
+}
+
+function candidateText(json) {
+  if (json.error) throw httpError(json.error.code || 500, `${json.error.status || ''} ${json.error.message || ''}`.trim());
+  const candidate = json.candidates?.[0];
+  if (!candidate && json.promptFeedback?.blockReason) throw httpError(400, `prompt blocked: ${json.promptFeedback.blockReason}`);
+  return (candidate?.content?.parts || []).map((part) => part.text || '').join('');
+}
+
+export async function complete(p, messages, opts) {
+  return candidateText(await (await request(p, messages, opts, false)).json());
+}
+
+export async function* stream(p, messages, opts) {
+  const res = await request(p, messages, opts, true);
+  for await (const { data } of readSse(res)) {
+    let json;
+    try { json = JSON.parse(data); } catch { continue; }
+    const text = candidateText(json);
+    if (text) yield text;
+  }
+}
+
+// Only models that can chat; ids lose their `models/` prefix
+export async function listModels(p) {
+  const json = await getJson(apiUrl(p.baseUrl || DEFAULT_BASE_URL, '/v1beta/models?pageSize=1000'), { headers: headers(p) });
+  return (json.models || [])
+    .filter((m) => !m.supportedGenerationMethods || m.supportedGenerationMethods.includes('generateContent'))
+    .map((m) => ({ id: m.name.replace(/^models\//, ''), contextLength: m.inputTokenLimit ?? null }));
+}
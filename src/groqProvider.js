@@ -0,0 +1,55 @@
+import { LLM_TIMEOUT_MS, configError, parseRetryAfter } from './llmHttp.js';
+
+// Groq through its SDK
+
+export const type = 'groq';
+export const API_KEY_ENV = 'GROQ_API_KEY';
+export const DEFAULT_BASE_URL = 'https://api.groq.com';
+
+export function builtinProfile(s) {
+  return {
+    id: 'groq',
+    name: 'Groq',
+    type,
+    model: s.groq?.model || 'llama-3.1-8b-instant',
+    apiKey: s.groq?.apiKey || process.env.GROQ_API_KEY || '',
+  };
+}
+
+async function client(p) {
+  if (!p.apiKey) throw configError('Missing GROQ_API_KEY in settings');
+  const { default: Groq } = await import('groq-sdk');
+  // Retries are handled by llmAdapter.js
+  return new Groq({ apiKey: p.apiKey, maxRetries: 0, timeout: LLM_TIMEOUT_MS });
+}
+
+// SDK errors carry the HTTP status and headers
+function sdkError(e) {
+  if (e.status) e.retryAfterMs = parseRetryAfter(e.headers?.['retry-after']);
+  return e;
+}
+
+export async function complete(p, messages, opts) {
+  const groq = await client(p);
+  try {
+    const res = await groq.chat.completions.create({ model: p.model, messages, ...opts });
+    return res.choices?.[0]?.message?.content ?? '';
+  } catch (e) {
+    throw sdkError(e);
+  }
+}
+
+export async function* stream(p, messages, opts) {
+  const groq = await client(p);
+  const parts = await groq.chat.completions.create({ model: p.model, messages, ...opts, stream: true }).catch((e) => { throw sdkError(e); });
+  for await (const part of parts) {
+    const delta = part.choices?.[0]?.delta?.content ?? '';
+    if (delta) yield delta;
+  }
+}
+
+export async function listModels(p) {
+  const groq = await client(p);
+  const res = await groq.models.list({ timeout: 15000 }).catch((e) => { throw sdkError(e); });
+  return (res.data || []).map((m) => ({ id: m.id, contextLength: m.context_window ?? null }));
+}
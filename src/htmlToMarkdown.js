@@ -0,0 +1,79 @@
+import { htmlToText } from 'html-to-text';
+
+// html-to-text with Markdown-flavoured output for the parts chunking relies on:
+// ATX headings, pipe tables and fenced <pre> blocks. Everything else stays plain text.
+
+function textOf(node) {
+  if (!node) return '';
+  if (node.type === 'text') return node.data || '';
+  if (node.name === 'br') return '\n';
+  return (node.children || []).map(textOf).join('');
+}
+
+function collectRows(node, rows = []) {
+  for (const child of node.children || []) {
+    if (child.type !== 'tag') continue;
+    if (child.name === 'tr') rows.push(child);
+    else if (child.name !== 'table') collectRows(child, rows); // skip nested tables
+  }
+  return rows;
+}
+
+function headingFormatter(level) {
+  return (elem, walk, builder) => {
+    builder.openBlock({ leadingLineBreaks: 2 });
+    builder.addLiteral('#'.repeat(level) + ' ');
+    walk(elem.children, builder);
+    builder.closeBlock({ trailingLineBreaks: 2 });
+  };
+}
+
+function tableFormatter(elem, walk, builder) {
+  const rows = collectRows(elem).map((tr) => (tr.children || [])
+    .filter((c) => c.type === 'tag' && (c.name === 'td' || c.name === 'th'))
+    .map((c) => textOf(c).replace(/\s+/g, ' ').replace(/\|/g, '\\|').trim()));
+  const width = Math.max(0, ...rows.map((r) => r.length));
+  if (!width) return;
+  const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+  const md = [line(rows[0]), line(new Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n');
+  builder.openBlock({ leadingLineBreaks: 2 });
+  builder.addLiteral(md);
+  builder.closeBlock({ trailingLineBreaks: 2 });
+}
+
+function preFormatter(elem, walk, builder) {
+  const code = textOf(elem).replace(/\n+$/, '');
+  builder.openBlock({ leadingLineBreaks: 2 });
+  builder.addLiteral('```\n' + code + '\n```');
+  builder.closeBlock({ trailingLineBreaks: 2 });
+}
+
+const OPTIONS = {
+  wordwrap: false,
+  formatters: {
+    mdH1: headingFormatter(1),
+    mdH2: headingFormatter(2),
+    mdH3: headingFormatter(3),
+    mdH4: headingFormatter(4),
+    mdH5: headingFormatter(5),
+    mdH6: headingFormatter(6),
+    mdTable: tableFormatter,
+    mdPre: preFormatter,
+  },
+  selectors: [
+    { selector: 'a', options: { ignoreHref: true } },
+    { selector: 'img', format: 'skip' },
+    { selector: 'h1', format: 'mdH1' },
+    { selector: 'h2', format: 'mdH2' },
+    { selector: 'h3', format: 'mdH3' },
+    { selector: 'h4', format: 'mdH4' },
+    { selector: 'h5', format: 'mdH5' },
+    { selector: 'h6', format: 'mdH6' },
+    { selector: 'table', format: 'mdTable' },
+    { selector: 'pre', format: 'mdPre' },
+  ],
+};
+
+export function htmlToMarkdown(html) {
+  return htmlToText(html || '', OPTIONS);
+}
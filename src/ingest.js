@@ -2,8 +2,12 @@ import { buildAndSaveIndex } from './retriever.js';
 
 async function main() {
   const dir = process.env.DOCS_DIR || 'docs';
-  const idx = await buildAndSaveIndex(dir);
-  console.log(`Indexed ${idx.items.length} chunks from ${dir}`);
+  // Incremental unless `--full` or INGEST_FULL=1
+  const full = process.argv.includes('--full') || process.env.INGEST_FULL === '1';
+  const idx = await buildAndSaveIndex(dir, { full });
+  console.log(`Indexed ${idx.items.length} chunks from ${dir} (${idx.stats.embedded} re-embedded)`);
+  // Details are in storage/index.report.json and the settings page
+  if (idx.stats.failed || idx.stats.empty) console.log(`${idx.stats.failed} file(s) failed, ${idx.stats.empty} produced no text`);
 }
 
 main().catch((e) => {
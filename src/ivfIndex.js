@@ -0,0 +1,98 @@
+// Inverted-file (IVF) approximate nearest-neighbour index.
+// Vectors are clustered with spherical k-means; each item lives in the list of its closest
+// centroid and a query scans only the lists of its `nprobe` closest centroids.
+// Embeddings are L2-normalised, so the dot product is the cosine similarity.
+
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function dot(a, aOffset, b, bOffset, dim) {
+  let s = 0;
+  for (let d = 0; d < dim; d++) s += a[aOffset + d] * b[bOffset + d];
+  return s;
+}
+
+function nearestCentroid(centroids, nlist, dim, vectors, offset) {
+  let best = 0;
+  let bestScore = -Infinity;
+  for (let c = 0; c < nlist; c++) {
+    const s = dot(centroids, c * dim, vectors, offset, dim);
+    if (s > bestScore) { bestScore = s; best = c; }
+  }
+  return best;
+}
+
+// vectors: row-major Float32Array of count * dim
+export function buildIvf(vectors, dim, { nlist, iterations = 10, sampleSize, seed = 42 } = {}) {
+  const count = Math.floor(vectors.length / dim);
+  const numLists = Math.max(1, Math.min(count, nlist || Math.round(Math.sqrt(count))));
+  const rand = mulberry32(seed);
+
+  // Train on a random sample; the first `numLists` sampled points seed the centroids
+  const trainSize = Math.min(count, Math.max(numLists, sampleSize || numLists * 64));
+  const perm = new Int32Array(count);
+  for (let i = 0; i < count; i++) perm[i] = i;
+  for (let i = 0; i < trainSize; i++) {
+    const j = i + Math.floor(rand() * (count - i));
+    const t = perm[i]; perm[i] = perm[j]; perm[j] = t;
+  }
+  const sample = perm.subarray(0, trainSize);
+  const centroids = new Float32Array(numLists * dim);
+  for (let c = 0; c < numLists; c++) centroids.set(vectors.subarray(sample[c] * dim, (sample[c] + 1) * dim), c * dim);
+
+  const assign = new Int32Array(trainSize);
+  for (let iter = 0; iter < iterations; iter++) {
+    for (let s = 0; s < trainSize; s++) assign[s] = nearestCentroid(centroids, numLists, dim, vectors, sample[s] * dim);
+    const sums = new Float64Array(numLists * dim);
+    const sizes = new Int32Array(numLists);
+    for (let s = 0; s < trainSize; s++) {
+      const c = assign[s];
+      const off = sample[s] * dim;
+      sizes[c] += 1;
+      for (let d = 0; d < dim; d++) sums[c * dim + d] += vectors[off + d];
+    }
+    for (let c = 0; c < numLists; c++) {
+      if (!sizes[c]) {
+        // Empty cluster: reseed from a random training point
+        const r = sample[Math.floor(rand() * trainSize)];
+        centroids.set(vectors.subarray(r * dim, (r + 1) * dim), c * dim);
+        continue;
+      }
+      let norm = 0;
+      for (let d = 0; d < dim; d++) norm += sums[c * dim + d] * sums[c * dim + d];
+      norm = Math.sqrt(norm) || 1;
+      for (let d = 0; d < dim; d++) centroids[c * dim + d] = sums[c * dim + d] / norm;
+    }
+  }
+
+  const lists = Array.from({ length: numLists }, () => []);
+  for (let i = 0; i < count; i++) lists[nearestCentroid(centroids, numLists, dim, vectors, i * dim)].push(i);
+  return { nlist: numLists, dim, count, centroids, lists };
+}
+
+// Returns up to `limit` { index, score } sorted by score. Lists are probed in centroid order
+// until at least `nprobe` lists are scanned and `limit` items passed `filter`, so restrictive
+// filters widen the search instead of returning too few results.
+export function searchIvf(ivf, vectors, query, { nprobe = 16, limit = 100, filter = null } = {}) {
+  const { nlist, dim, centroids, lists } = ivf;
+  const order = [];
+  for (let c = 0; c < nlist; c++) order.push([c, dot(centroids, c * dim, query, 0, dim)]);
+  order.sort((a, b) => b[1] - a[1]);
+  const results = [];
+  for (let p = 0; p < order.length; p++) {
+    if (p >= nprobe && results.length >= limit) break;
+    for (const i of lists[order[p][0]]) {
+      if (filter && !filter(i)) continue;
+      results.push({ index: i, score: dot(vectors, i * dim, query, 0, dim) });
+    }
+  }
+  results.sort((a, b) => b.score - a.score);
+  return results.slice(0, limit);
+}
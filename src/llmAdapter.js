@@ -1,125 +1,247 @@
 import { loadSettings, getSettingsVersion } from './settings.js';
+import { PROVIDER_TYPES, getProvider, builtinProfiles, apiKeyFromEnv } from './llmProviders.js';
 
-let cachedProvider = null; // { type: 'openai-compatible'|'groq', baseUrl?:string, model:string, apiKey?:string }
+// Named provider profiles: the built-in profile of each provider module (`groq`, `ollama`, `openai`,
+// `anthropic`, `gemini`, see llmProviders.js) plus any number of custom `profiles` from the settings.
+// Each is { id, name, type, baseUrl?, model, apiKey?, temperature?, maxTokens? }; `aiProvider`
+// names the profile used when a request does not pick one.
+export const PROFILE_TYPES = PROVIDER_TYPES;
+
+let cachedProfiles = null; // { byId: Map<id, profile>, active: id }
 let cachedVersion = -1;
 
-async function resolveProvider() {
+function settingsProfiles(s) {
+  const custom = (s.profiles || []).map((p) => ({ ...p, name: p.name || p.id, apiKey: p.apiKey || apiKeyFromEnv(p.type) }));
+  return [...builtinProfiles(s), ...custom];
+}
+
+async function loadProfiles() {
   const version = getSettingsVersion();
-  if (cachedProvider && version === cachedVersion) return cachedProvider;
+  if (cachedProfiles && version === cachedVersion) return cachedProfiles;
   const s = await loadSettings();
-  if (s.aiProvider === 'groq') {
-    cachedProvider = {
-      type: 'groq',
-      model: s.groq?.model || 'llama-3.1-8b-instant',
-      apiKey: s.groq?.apiKey || process.env.GROQ_API_KEY || '',
-    };
-  } else {
-    cachedProvider = {
-      type: 'openai-compatible',
-      baseUrl: s.ollama?.url || process.env.LLM_BASE_URL || 'http://ollama:11434',
-      model: s.ollama?.model || process.env.LLM_MODEL || 'llama3.1:8b',
-      apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || process.env.GROQ_API_KEY || 'ollama',
-    };
-  }
+  const byId = new Map(settingsProfiles(s).map((p) => [p.id, p]));
+  // Anything unknown falls back to the local server, as before profiles existed
+  cachedProfiles = { byId, active: byId.has(s.aiProvider) ? s.aiProvider : 'ollama' };
   cachedVersion = version;
-  return cachedProvider;
-}
-
-export async function llmChatComplete(messages, { temperature = 0.2, max_tokens = 800 } = {}) {
-  const p = await resolveProvider();
-  if (p.type === 'openai-compatible') {
-    const url = new URL('/v1/chat/completions', p.baseUrl).toString();
-    const res = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${p.apiKey}`,
-      },
-      body: JSON.stringify({ model: p.model, messages, temperature, max_tokens }),
-    });
-    if (!res.ok) {
-      const text = await res.text().catch(() => '');
-      throw new Error(`LLM request failed: ${res.status} ${text}`);
-    }
-    const data = await res.json();
-    return data.choices?.[0]?.message?.content ?? '';
+  return cachedProfiles;
+}
+
+async function resolveProvider(profileId = null) {
+  const { byId, active } = await loadProfiles();
+  const p = byId.get(profileId || active);
+  if (!p) {
+    const err = new Error(`Unknown provider profile: ${profileId}`);
+    err.code = 'UNKNOWN_PROFILE';
+    throw err;
+  }
+  return p;
+}
+
+// Profiles without their API keys, for the UI
+export async function listProfiles() {
+  const { byId, active } = await loadProfiles();
+  const profiles = [...byId.values()].map(({ apiKey, ...p }) => ({ ...p, hasApiKey: !!apiKey }));
+  return { active, profiles };
+}
+
+// Failover: a call goes to the chosen profile, then to the profiles listed in the `failover`
+// setting. Transient failures (network errors, timeouts, 408/429/5xx) are retried with exponential
+// backoff, honouring Retry-After; other errors (bad key, unknown model) move on at once. After
+// LLM_BREAKER_THRESHOLD failed calls in a row a profile's circuit opens and it is skipped for
+// LLM_BREAKER_COOLDOWN_MS. Then the circuit is half-open: one call is let through to probe it while
+// the others keep skipping it, and that call's outcome closes or reopens the circuit.
+const LLM_RETRIES = Number(process.env.LLM_RETRIES ?? 2);
+const LLM_RETRY_BASE_MS = Number(process.env.LLM_RETRY_BASE_MS || 500);
+const LLM_RETRY_MAX_MS = Number(process.env.LLM_RETRY_MAX_MS || 10000); // longer Retry-After: fail over instead
+const BREAKER_THRESHOLD = Number(process.env.LLM_BREAKER_THRESHOLD || 3);
+const BREAKER_COOLDOWN_MS = Number(process.env.LLM_BREAKER_COOLDOWN_MS || 30000);
+
+const breakers = new Map(); // profile id -> { failures, openUntil, probing }
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Errors without a status are network failures and timeouts
+function isTransient(e) {
+  if (e.code === 'LLM_CONFIG') return false;
+  return !e.status || e.status === 408 || e.status === 429 || e.status >= 500;
+}
+
+// false while the circuit is open, or half-open with a probe already in flight
+function breakerAdmits(id) {
+  const b = breakers.get(id);
+  if (!b || b.failures < BREAKER_THRESHOLD) return true;
+  if (Date.now() < b.openUntil || b.probing) return false;
+  b.probing = true;
+  return true;
+}
+
+// A probe that ended without a verdict (e.g. a missing key) lets the next call probe instead
+function releaseProbe(id) {
+  const b = breakers.get(id);
+  if (b) b.probing = false;
+}
+
+function recordResult(id, ok) {
+  if (ok) return breakers.delete(id);
+  const b = breakers.get(id) || { failures: 0, openUntil: 0, probing: false };
+  b.failures += 1;
+  b.probing = false;
+  if (b.failures >= BREAKER_THRESHOLD) {
+    b.openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+    console.warn(`[llm] ${id}: ${b.failures} failures in a row; skipping it for ${Math.round(BREAKER_COOLDOWN_MS / 1000)}s`);
   }
-  // Groq
-  const { default: Groq } = await import('groq-sdk');
-  if (!p.apiKey) throw new Error('Missing GROQ_API_KEY in settings');
-  const client = new Groq({ apiKey: p.apiKey });
-  const res = await client.chat.completions.create({ model: p.model, messages, temperature, max_tokens });
-  return res.choices?.[0]?.message?.content ?? '';
-}
-
-export async function llmChatCompleteStream(messages, { temperature = 0.2, max_tokens = 800 } = {}, onDelta) {
-  const p = await resolveProvider();
-  if (p.type === 'openai-compatible') {
-    const url = new URL('/v1/chat/completions', p.baseUrl).toString();
-    const res = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${p.apiKey}`,
-      },
-      body: JSON.stringify({ model: p.model, messages, temperature, max_tokens, stream: true }),
-    });
-    if (!res.ok || !res.body) {
-      const text = await res.text().catch(() => '');
-      throw new Error(`LLM request failed: ${res.status} ${text}`);
+  breakers.set(id, b);
+}
+
+// Circuit state per profile, for the status endpoint
+export function providerHealth() {
+  const now = Date.now();
+  return Object.fromEntries([...breakers].map(([id, b]) => [id, { failures: b.failures, open: b.failures >= BREAKER_THRESHOLD && now < b.openUntil, probing: !!b.probing, openUntil: b.openUntil ? new Date(b.openUntil).toISOString() : null }]));
+}
+
+async function failoverChain(profile) {
+  const first = await resolveProvider(profile);
+  const { byId } = await loadProfiles();
+  const s = await loadSettings();
+  const rest = (s.failover || []).filter((id) => id !== first.id && byId.has(id)).map((id) => byId.get(id));
+  return [first, ...new Set(rest)];
+}
+
+// Runs `attempt(p, announce)` along the chain. `announce` reports the profile that is answering
+// (via onProvider) before any output is produced; an attempt that fails after output reached
+// the caller sets `err.committed` and is not retried anywhere else.
+async function withFailover(profile, attempt, onProvider) {
+  const chain = await failoverChain(profile);
+  const skipped = [];
+  const errors = [];
+  for (const p of chain) {
+    if (!breakerAdmits(p.id)) {
+      skipped.push(p.id);
+      errors.push(`${p.id}: circuit open`);
+      continue;
     }
-    const reader = res.body.getReader();
-    const decoder = new TextDecoder('utf-8');
-    let buffered = '';
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-      buffered += decoder.decode(value, { stream: true });
-      const lines = buffered.split(/\r?\n/);
-      buffered = lines.pop() ?? '';
-      for (const line of lines) {
-        const trimmed = line.trim();
-        if (!trimmed) continue;
-        if (trimmed.startsWith('data:')) {
-          const dataStr = trimmed.slice(5).trim();
-          if (dataStr === '[DONE]') { onDelta?.({ type: 'done' }); return; }
-          try {
-            const json = JSON.parse(dataStr);
-            const delta = json.choices?.[0]?.delta?.content ?? '';
-            if (delta) onDelta?.({ type: 'delta', text: delta });
-          } catch {}
+    const announce = () => onProvider?.({ profile: p.id, name: p.name, model: p.model, fallbackFrom: [...skipped] });
+    for (let retry = 0; ; retry += 1) {
+      try {
+        const out = await attempt(p, announce);
+        recordResult(p.id, true);
+        return out;
+      } catch (e) {
+        if (e.committed) {
+          recordResult(p.id, false);
+          throw e;
         }
+        const wait = e.retryAfterMs ?? LLM_RETRY_BASE_MS * 2 ** retry;
+        if (isTransient(e) && retry < LLM_RETRIES && wait <= LLM_RETRY_MAX_MS) {
+          console.warn(`[llm] ${p.id}: ${e.message || e}; retrying in ${wait}ms`);
+          await sleep(wait);
+          continue;
+        }
+        if (e.code === 'LLM_CONFIG') releaseProbe(p.id);
+        else recordResult(p.id, false);
+        console.warn(`[llm] ${p.id} failed: ${e.message || e}`);
+        skipped.push(p.id);
+        errors.push(`${p.id}: ${e.message || e}`);
+        break;
       }
     }
-    onDelta?.({ type: 'done' });
-    return;
   }
-  // Groq streaming (fallback to non-stream on error)
+  const err = new Error(chain.length > 1 ? `All providers failed (${errors.join('; ')})` : errors[0] || 'No provider available');
+  err.code = 'LLM_UNAVAILABLE';
+  throw err;
+}
+
+async function completeOnce(p, messages, { temperature, max_tokens }) {
+  const opts = { temperature: p.temperature ?? temperature, max_tokens: p.maxTokens ?? max_tokens };
+  return getProvider(p.type).complete(p, messages, opts);
+}
+
+async function streamOnce(p, messages, { temperature, max_tokens }, announce, onDelta) {
+  const opts = { temperature: p.temperature ?? temperature, max_tokens: p.maxTokens ?? max_tokens };
+  let started = false;
   try {
-    const { default: Groq } = await import('groq-sdk');
-    if (!p.apiKey) throw new Error('Missing GROQ_API_KEY in settings');
-    const client = new Groq({ apiKey: p.apiKey });
-    const stream = await client.chat.completions.create({ model: p.model, messages, temperature, max_tokens, stream: true });
-    for await (const part of stream) {
-      const delta = part.choices?.[0]?.delta?.content ?? '';
-      if (delta) onDelta?.({ type: 'delta', text: delta });
+    for await (const text of getProvider(p.type).stream(p, messages, opts)) {
+      if (!started) announce();
+      started = true;
+      onDelta?.({ type: 'delta', text });
     }
+  } catch (e) {
+    e.committed = started;
+    throw e;
+  }
+  // An empty answer still names who gave it
+  if (!started) announce();
+}
+
+// `profile` picks a profile by id (default: the active one); failover profiles follow it (see
+// withFailover). A profile's own temperature and maxTokens, when set, replace the values passed
+// by the caller. `onProvider({ profile, name, model, fallbackFrom })` learns who answered.
+export async function llmChatComplete(messages, { temperature = 0.2, max_tokens = 800, profile = null, onProvider } = {}) {
+  return withFailover(profile, async (p, announce) => {
+    const text = await completeOnce(p, messages, { temperature, max_tokens });
+    announce();
+    return text;
+  }, onProvider);
+}
+
+// Output already streamed cannot be taken back, so a stream only fails over before its first delta
+export async function llmChatCompleteStream(messages, { temperature = 0.2, max_tokens = 800, profile = null, onProvider } = {}, onDelta) {
+  try {
+    await withFailover(profile, (p, announce) => streamOnce(p, messages, { temperature, max_tokens }, announce, onDelta), onProvider);
     onDelta?.({ type: 'done' });
   } catch (e) {
-    try {
-      const text = await llmChatComplete(messages, { temperature, max_tokens });
-      if (text) onDelta?.({ type: 'delta', text });
-      onDelta?.({ type: 'done' });
-    } catch (err) {
-      onDelta?.({ type: 'error', error: String(err) });
-    }
+    if (e.code === 'UNKNOWN_PROFILE') throw e;
+    onDelta?.({ type: 'error', error: String(e.message || e) });
   }
 }
 
-export async function getRuntimeProviderInfo() {
-  const p = await resolveProvider();
-  if (p.type === 'openai-compatible') return { provider: 'openai-compatible', baseUrl: p.baseUrl, model: p.model };
-  return { provider: 'groq', baseUrl: null, model: p.model };
+export async function getRuntimeProviderInfo(profile = null) {
+  const p = await resolveProvider(profile);
+  const baseUrl = await getProvider(p.type).resolveBaseUrl(p).catch(() => null);
+  return { provider: p.type, baseUrl, model: p.model, profile: p.id, profileName: p.name };
 }
 
+// Models a profile's provider offers: [{ id, contextLength }]
+export async function listProviderModels(profile = null) {
+  const p = await resolveProvider(profile);
+  return getProvider(p.type).listModels(p);
+}
 
+// Model lists of every profile, for the settings picker: hosted profiles without a key are
+// reported as not configured instead of being asked
+export async function listAllModels() {
+  const { byId } = await loadProfiles();
+  return Promise.all([...byId.values()].map(async (p) => {
+    const entry = { profile: p.id, name: p.name, type: p.type, model: p.model, canPull: !!getProvider(p.type).pullModel };
+    if (getProvider(p.type).API_KEY_ENV && !p.apiKey) return { ...entry, configured: false, models: [] };
+    try {
+      return { ...entry, configured: true, models: await getProvider(p.type).listModels(p) };
+    } catch (e) {
+      return { ...entry, configured: true, models: [], error: String(e.message || e) };
+    }
+  }));
+}
+
+// Downloads `model` on the profile's server; yields progress (see openaiCompatibleProvider.js)
+export async function* pullProviderModel(profile, model) {
+  const p = await resolveProvider(profile);
+  const provider = getProvider(p.type);
+  if (!provider.pullModel) {
+    const err = new Error(`${p.name} cannot download models`);
+    err.code = 'PULL_UNSUPPORTED';
+    throw err;
+  }
+  yield* provider.pullModel(p, model);
+}
+
+// Reachability (and key validity) of a profile, without spending tokens
+export async function checkProvider(profile = null) {
+  const p = await resolveProvider(profile);
+  const started = Date.now();
+  try {
+    await getProvider(p.type).healthCheck(p);
+    return { ok: true, profile: p.id, name: p.name, latencyMs: Date.now() - started };
+  } catch (e) {
+    return { ok: false, profile: p.id, name: p.name, error: String(e.message || e) };
+  }
+}
@@ -0,0 +1,146 @@
+// HTTP plumbing shared by the LLM provider modules (see llmProviders.js): JSON requests with a time
+// limit, errors that carry the status and Retry-After for the failover logic in llmAdapter.js, and
+// SSE parsing.
+
+export const LLM_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS || 300000); // until response headers arrive
+
+// "120" (seconds) or an HTTP date -> milliseconds, or null
+export function parseRetryAfter(value) {
+  if (value == null || value === '') return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+export function httpError(status, text, retryAfter = null) {
+  const err = new Error(`LLM request failed: ${status} ${text}`.trim());
+  err.status = status;
+  err.retryAfterMs = parseRetryAfter(retryAfter);
+  return err;
+}
+
+// `path` under `base`, keeping any prefix of the base (gateways such as https://openrouter.ai/api):
+// new URL('/v1/x', base) would resolve against the host root instead
+export function apiUrl(base, path) {
+  return new URL(path.replace(/^\/+/, ''), String(base).replace(/\/*$/, '/'));
+}
+
+// Missing key or similar: not worth a retry, and not the backend's fault
+export function configError(message) {
+  const err = new Error(message);
+  err.code = 'LLM_CONFIG';
+  return err;
+}
+
+// Network failures and timeouts become errors without a status (retryable); HTTP errors keep theirs
+export async function postJson(url, { headers = {}, body, method = 'POST', timeoutMs = LLM_TIMEOUT_MS } = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const origin = new URL(url).origin;
+  let res;
+  try {
+    res = await fetch(url, {
+      method,
+      headers: { ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}), ...headers },
+      ...(body !== undefined ? { body: JSON.stringify(body) } : {}),
+      signal: controller.signal,
+    });
+  } catch (e) {
+    throw new Error(e.name === 'AbortError' ? `no response from ${origin} within ${timeoutMs}ms` : `${origin} unreachable: ${e.cause?.code || e.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    throw httpError(res.status, text, res.headers.get('retry-after'));
+  }
+  return res;
+}
+
+// Metadata lookups (model lists) should not wait as long as a generation
+export async function getJson(url, { headers = {}, timeoutMs = 15000 } = {}) {
+  const res = await postJson(url, { headers, method: 'GET', timeoutMs });
+  return res.json();
+}
+
+// Server-sent events of a fetch response -> { event, data } (data lines joined; `event` defaults to 'message')
+export async function* readSse(res) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder('utf-8');
+  let buffered = '';
+  let event = null;
+  let data = [];
+  const dispatch = () => {
+    const out = data.length ? { event: event || 'message', data: data.join('\n') } : null;
+    event = null;
+    data = [];
+    return out;
+  };
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffered += decoder.decode(value, { stream: true });
+    const lines = buffered.split(/\r?\n/);
+    buffered = lines.pop() ?? '';
+    for (const line of lines) {
+      if (!line.trim()) {
+        const evt = dispatch();
+        if (evt) yield evt;
+      } else if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).trim());
+      }
+    }
+  }
+  if (buffered.startsWith('data:')) data.push(buffered.slice(5).trim());
+  const evt = dispatch();
+  if (evt) yield evt;
+}
+
+// Newline-delimited JSON (Ollama's native streaming); stopping early cancels the response
+export async function* readNdjson(res) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder('utf-8');
+  let buffered = '';
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffered += decoder.decode(value, { stream: true });
+      const lines = buffered.split('\n');
+      buffered = lines.pop() ?? '';
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try { yield JSON.parse(line); } catch {}
+      }
+    }
+    if (buffered.trim()) {
+      try { yield JSON.parse(buffered); } catch {}
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+// Chat history with roles alternating user/assistant, as Anthropic and Gemini require: system
+// messages are returned separately and consecutive turns of one role are merged.
+export function splitMessages(messages) {
+  const system = [];
+  const turns = [];
+  for (const m of messages) {
+    const content = String(m.content ?? '');
+    if (m.role === 'system') {
+      system.push(content);
+      continue;
+    }
+    const role = m.role === 'assistant' ? 'assistant' : 'user';
+    const last = turns[turns.length - 1];
+    if (last?.role === role) last.content += `\n\n${content}`;
+    else turns.push({ role, content });
+  }
+  // Both APIs want the conversation to open with the user
+  if (turns[0]?.role === 'assistant') turns.unshift({ role: 'user', content: '(continuing the conversation)' });
+  return { system: system.join('\n\n'), turns };
+}
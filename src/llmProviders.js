@@ -0,0 +1,45 @@
+import * as groq from './groqProvider.js';
+import * as openaiCompatible from './openaiCompatibleProvider.js';
+import * as openai from './openaiProvider.js';
+import * as anthropic from './anthropicProvider.js';
+import * as gemini from './geminiProvider.js';
+
+// Provider registry. A provider is one module exporting
+//   type                          profile type it serves
+//   builtinProfile(settings)      the built-in profile it contributes (its settings block + env)
+//   complete(p, messages, opts)   -> answer text
+//   stream(p, messages, opts)     -> async iterable of text deltas
+//   listModels(p)                 -> [{ id, contextLength }] (contextLength null when unknown)
+// and optionally
+//   healthCheck(p)                throws when the provider is unusable (default: listModels)
+//   resolveBaseUrl(p)             for providers that discover their endpoint
+//   pullModel(p, model)           async iterable of download progress, for servers that can fetch models
+//   API_KEY_ENV, DEFAULT_BASE_URL key used by custom profiles without one; endpoint when none is set
+// where `p` is a profile (see llmAdapter.js) and opts are { temperature, max_tokens }. Errors carry
+// `status` / `retryAfterMs` or code LLM_CONFIG (see llmHttp.js) so llmAdapter.js can retry and
+// fail over. Adding a provider means writing such a module and listing it here.
+const MODULES = [groq, openaiCompatible, openai, anthropic, gemini];
+
+const PROVIDERS = new Map(MODULES.map((m) => [m.type, {
+  ...m,
+  healthCheck: m.healthCheck || m.listModels,
+  resolveBaseUrl: m.resolveBaseUrl || (async (p) => p.baseUrl || m.DEFAULT_BASE_URL || null),
+}]));
+
+export const PROVIDER_TYPES = [...PROVIDERS.keys()];
+
+export function getProvider(type) {
+  const provider = PROVIDERS.get(type);
+  if (!provider) throw new Error(`Unknown provider type: ${type}`);
+  return provider;
+}
+
+// Built-in profiles in registry order
+export function builtinProfiles(settings) {
+  return MODULES.map((m) => m.builtinProfile(settings));
+}
+
+export function apiKeyFromEnv(type) {
+  const name = PROVIDERS.get(type)?.API_KEY_ENV;
+  return (name && process.env[name]) || '';
+}
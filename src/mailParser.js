@@ -0,0 +1,179 @@
+import { htmlToText } from 'html-to-text';
+
+// Minimal MIME reader for .eml/.mbox: RFC 5322 headers (folded, RFC 2047 encoded words),
+// multipart bodies, base64/quoted-printable transfer encodings, charsets, and RFC 2231
+// attachment file names. Messages are handled as latin1 strings so every byte survives
+// until the part's own charset is applied.
+
+const HTML_OPTIONS = { wordwrap: false, selectors: [{ selector: 'a', options: { ignoreHref: true } }, { selector: 'img', format: 'skip' }] };
+
+function decodeBytes(bytes, charset = 'utf-8') {
+  try {
+    return new TextDecoder(charset.trim().toLowerCase() === 'us-ascii' ? 'utf-8' : charset).decode(bytes);
+  } catch {
+    return Buffer.from(bytes).toString('utf-8');
+  }
+}
+
+// "=?utf-8?Q?Caf=C3=A9?= =?utf-8?B?w6k=?=" -> "Café é" (whitespace between encoded words is dropped)
+export function decodeWords(value) {
+  return String(value || '')
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([BbQq])\?([^?]*)\?=/g, (_, charset, enc, text) => {
+      const bytes = enc.toUpperCase() === 'B'
+        ? Buffer.from(text, 'base64')
+        : Buffer.from(text.replace(/_/g, ' ').replace(/=([0-9A-Fa-f]{2})/g, (m, h) => String.fromCharCode(parseInt(h, 16))), 'latin1');
+      return decodeBytes(bytes, charset);
+    });
+}
+
+function parseHeaders(head) {
+  const headers = new Map();
+  for (const line of head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const m = line.match(/^([^:\s]+):\s*(.*)$/);
+    if (!m) continue;
+    const name = m[1].toLowerCase();
+    if (!headers.has(name)) headers.set(name, m[2].trim());
+  }
+  return headers;
+}
+
+// 'text/plain; charset="utf-8"; name*=UTF-8\'\'r%C3%A9sum%C3%A9.pdf' -> { value, params }
+function parseParams(header) {
+  const [value, ...rest] = String(header || '').split(';');
+  const params = {};
+  const extended = {};
+  for (const part of rest) {
+    const m = part.match(/^\s*([^=\s]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|(.*?))\s*$/);
+    if (!m) continue;
+    const key = m[1].toLowerCase();
+    const val = m[2] !== undefined ? m[2].replace(/\\(.)/g, '$1') : m[3];
+    const cont = key.match(/^([^*]+)\*(\d+)?(\*)?$/); // RFC 2231: name*, name*0, name*0*
+    if (cont) {
+      const base = cont[1];
+      (extended[base] ||= []).push({ n: Number(cont[2] || 0), val, encoded: Boolean(cont[3]) || (!cont[2] && key.endsWith('*')) });
+    } else {
+      params[key] = decodeWords(val);
+    }
+  }
+  for (const [key, pieces] of Object.entries(extended)) {
+    pieces.sort((a, b) => a.n - b.n);
+    let charset = 'utf-8';
+    const joined = pieces.map(({ val, encoded }, i) => {
+      if (!encoded) return val;
+      let v = val;
+      if (i === 0) {
+        const m = v.match(/^([^']*)'[^']*'(.*)$/);
+        if (m) { charset = m[1] || charset; v = m[2]; }
+      }
+      return v.replace(/%([0-9A-Fa-f]{2})/g, (_, h) => String.fromCharCode(parseInt(h, 16)));
+    }).join('');
+    params[key] = decodeBytes(Buffer.from(joined, 'latin1'), charset);
+  }
+  return { value: value.trim().toLowerCase(), params };
+}
+
+function decodeTransfer(body, encoding) {
+  const enc = String(encoding || '').toLowerCase();
+  if (enc === 'base64') return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+  if (enc === 'quoted-printable') {
+    const s = body.replace(/=\r?\n/g, '').replace(/=([0-9A-Fa-f]{2})/g, (_, h) => String.fromCharCode(parseInt(h, 16)));
+    return Buffer.from(s, 'latin1');
+  }
+  return Buffer.from(body, 'latin1');
+}
+
+function splitMultipart(body, boundary) {
+  const parts = [];
+  let current = null;
+  for (const line of body.split(/\r?\n/)) {
+    const trimmed = line.trimEnd();
+    if (trimmed === `--${boundary}--`) break;
+    if (trimmed === `--${boundary}`) {
+      if (current) parts.push(current.join('\n'));
+      current = [];
+      continue;
+    }
+    if (current) current.push(line);
+  }
+  if (current) parts.push(current.join('\n'));
+  return parts;
+}
+
+function walkPart(raw, out) {
+  const sep = raw.search(/\r?\n\r?\n/);
+  const head = sep >= 0 ? raw.slice(0, sep) : raw;
+  const body = sep >= 0 ? raw.slice(sep).replace(/^\r?\n\r?\n/, '') : '';
+  const headers = parseHeaders(head);
+  const type = parseParams(headers.get('content-type') || 'text/plain');
+  const disposition = parseParams(headers.get('content-disposition') || '');
+  const filename = disposition.params.filename || type.params.name || null;
+
+  if (type.value.startsWith('multipart/') && type.params.boundary) {
+    const children = splitMultipart(body, type.params.boundary);
+    if (type.value === 'multipart/alternative') {
+      // Prefer the plain text alternative, fall back to the last (richest) one
+      const plain = children.find((c) => /content-type:\s*text\/plain/i.test(c.slice(0, c.search(/\r?\n\r?\n/))));
+      walkPart(plain ?? children[children.length - 1] ?? '', out);
+    } else {
+      for (const child of children) walkPart(child, out);
+    }
+    return headers;
+  }
+  const data = decodeTransfer(body, headers.get('content-transfer-encoding'));
+  const inline = disposition.value !== 'attachment' && !filename;
+  if (inline && type.value === 'text/plain') {
+    out.text.push(decodeBytes(data, type.params.charset));
+  } else if (inline && type.value === 'text/html') {
+    out.text.push(htmlToText(decodeBytes(data, type.params.charset), HTML_OPTIONS));
+  } else if (type.value === 'message/rfc822') {
+    out.attachments.push({ filename: filename || `forwarded-${out.attachments.length + 1}.eml`, contentType: type.value, data });
+  } else if (filename) {
+    out.attachments.push({ filename, contentType: type.value, data });
+  }
+  return headers;
+}
+
+function toIsoDate(value) {
+  const d = new Date(value);
+  return value && !Number.isNaN(d.getTime()) ? d.toISOString() : (value || null);
+}
+
+// raw: Buffer or latin1 string of one RFC 5322 message
+export function parseMessage(raw) {
+  const source = Buffer.isBuffer(raw) ? raw.toString('latin1') : String(raw);
+  const out = { text: [], attachments: [] };
+  const headers = walkPart(source, out);
+  const header = (name) => {
+    const v = headers.get(name);
+    // Raw 8-bit header bytes are usually UTF-8 even though RFC 5322 says ASCII
+    return v ? decodeWords(decodeBytes(Buffer.from(v, 'latin1'))) : null;
+  };
+  return {
+    from: header('from'),
+    to: header('to'),
+    cc: header('cc'),
+    date: toIsoDate(header('date')),
+    subject: header('subject'),
+    messageId: header('message-id'),
+    text: out.text.map((t) => t.trim()).filter(Boolean).join('\n\n'),
+    attachments: out.attachments,
+  };
+}
+
+// mboxrd/mboxo: messages start at "From " lines; ">From " escapes are undone
+export function splitMbox(raw) {
+  const source = Buffer.isBuffer(raw) ? raw.toString('latin1') : String(raw);
+  const messages = [];
+  let current = null;
+  for (const line of source.split(/\r?\n/)) {
+    if (line.startsWith('From ') && (current === null || current[current.length - 1] === '')) {
+      if (current) messages.push(current.join('\n'));
+      current = [];
+      continue;
+    }
+    if (current) current.push(line.replace(/^>(>*From )/, '$1'));
+  }
+  if (current) messages.push(current.join('\n'));
+  return messages.filter((m) => m.trim());
+}
@@ -0,0 +1,137 @@
+// Filter expressions over document metadata, e.g.
+//   tag:legal AND year>=2023
+//   (author:"Jane Doe" OR author:j*) NOT type:xlsx
+// Terms are `field<op>value` with op one of : = != > >= < <=. `:` and `=` match case-insensitively
+// (`*` is a wildcard) and match any element of list fields such as tags. Comparisons are numeric
+// when both sides are numbers, otherwise by string (ISO dates compare correctly that way).
+// Adjacent terms are ANDed; AND, OR, NOT and parentheses work as usual.
+// Invalid expressions throw an error with code INVALID_FILTER.
+
+const MAX_FILTER_LENGTH = 1000;
+const TERM_RE = /^([A-Za-z_][\w.]*)(!=|>=|<=|:|=|>|<)/;
+
+function filterError(message) {
+  const err = new Error(`Invalid filter: ${message}`);
+  err.code = 'INVALID_FILTER';
+  return err;
+}
+
+function tokenize(expr) {
+  const tokens = [];
+  let i = 0;
+  while (i < expr.length) {
+    const ch = expr[i];
+    if (/\s/.test(ch)) { i += 1; continue; }
+    if (ch === '(' || ch === ')') { tokens.push({ type: ch }); i += 1; continue; }
+    const rest = expr.slice(i);
+    const term = rest.match(TERM_RE);
+    if (term) {
+      i += term[0].length;
+      let value = '';
+      if (expr[i] === '"') {
+        const end = expr.indexOf('"', i + 1);
+        if (end < 0) throw filterError(`unterminated quote after ${term[0]}`);
+        value = expr.slice(i + 1, end);
+        i = end + 1;
+      } else {
+        while (i < expr.length && !/[\s()]/.test(expr[i])) value += expr[i++];
+        if (/^[<>=!:]/.test(value)) throw filterError(`unknown operator in ${term[0]}${value}`);
+      }
+      if (!value) throw filterError(`missing value after ${term[0]}`);
+      tokens.push({ type: 'term', field: term[1].toLowerCase(), op: term[2] === '=' ? ':' : term[2], value });
+      continue;
+    }
+    const word = rest.match(/^[^\s()]+/)[0];
+    const upper = word.toUpperCase();
+    if (upper === 'AND' || upper === 'OR' || upper === 'NOT') tokens.push({ type: upper });
+    else throw filterError(`expected field:value, got "${word}"`);
+    i += word.length;
+  }
+  return tokens;
+}
+
+const isNumeric = (v) => typeof v === 'number' || (typeof v === 'string' && v.trim() !== '' && Number.isFinite(Number(v)));
+
+function wildcard(value) {
+  const escaped = value.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function compare(actual, op, value) {
+  if (actual === null || actual === undefined || actual === '') return false;
+  const cmp = isNumeric(actual) && isNumeric(value)
+    ? Number(actual) - Number(value)
+    : String(actual).toLowerCase().localeCompare(String(value).toLowerCase());
+  if (op === '>') return cmp > 0;
+  if (op === '>=') return cmp >= 0;
+  if (op === '<') return cmp < 0;
+  return cmp <= 0;
+}
+
+function termPredicate({ field, op, value }) {
+  const pattern = value.includes('*') ? wildcard(value) : null;
+  const lower = value.toLowerCase();
+  const matches = (v) => (pattern ? pattern.test(String(v)) : String(v).toLowerCase() === lower);
+  return (fields) => {
+    const actual = fields[field];
+    const values = Array.isArray(actual) ? actual : [actual];
+    if (op === ':') return values.some((v) => v !== null && v !== undefined && matches(v));
+    if (op === '!=') return !values.some((v) => v !== null && v !== undefined && matches(v));
+    return values.some((v) => compare(v, op, value));
+  };
+}
+
+// Recursive descent: or := and (OR and)* ; and := not ((AND)? not)* ; not := NOT not | ( or ) | term
+function parse(tokens) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const parseOr = () => {
+    let left = parseAnd();
+    while (peek()?.type === 'OR') {
+      pos += 1;
+      const a = left;
+      const b = parseAnd();
+      left = (f) => a(f) || b(f);
+    }
+    return left;
+  };
+  const parseAnd = () => {
+    let left = parseNot();
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') pos += 1;
+      const a = left;
+      const b = parseNot();
+      left = (f) => a(f) && b(f);
+    }
+    return left;
+  };
+  const parseNot = () => {
+    const tok = peek();
+    if (!tok) throw filterError('unexpected end of expression');
+    pos += 1;
+    if (tok.type === 'NOT') {
+      const inner = parseNot();
+      return (f) => !inner(f);
+    }
+    if (tok.type === '(') {
+      const inner = parseOr();
+      if (peek()?.type !== ')') throw filterError('missing )');
+      pos += 1;
+      return inner;
+    }
+    if (tok.type === 'term') return termPredicate(tok);
+    throw filterError(`unexpected ${tok.type}`);
+  };
+  const predicate = parseOr();
+  if (pos < tokens.length) throw filterError(`unexpected ${tokens[pos].type}`);
+  return predicate;
+}
+
+// Returns predicate(fields) -> boolean, or null for an empty expression
+export function compileFilter(expr) {
+  if (expr === null || expr === undefined) return null;
+  if (typeof expr !== 'string') throw filterError('expression must be a string');
+  if (expr.length > MAX_FILTER_LENGTH) throw filterError(`longer than ${MAX_FILTER_LENGTH} characters`);
+  const tokens = tokenize(expr.trim());
+  return tokens.length ? parse(tokens) : null;
+}
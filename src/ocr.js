@@ -0,0 +1,76 @@
+import path from 'path';
+import fs from 'fs/promises';
+
+// Local OCR for scanned PDF pages and image files (Tesseract compiled to WASM; no system binary).
+// Language data is downloaded once into OCR_CACHE_DIR (or read from OCR_LANG_PATH when offline).
+
+export const OCR_ENABLED = process.env.OCR_ENABLED !== '0';
+const OCR_LANG = process.env.OCR_LANG || 'eng'; // e.g. "eng+deu"
+const OCR_LANG_PATH = process.env.OCR_LANG_PATH || null; // directory or URL with <lang>.traineddata(.gz)
+const OCR_CACHE_DIR = path.resolve(process.env.OCR_CACHE_DIR || path.join(process.env.INDEX_DIR || 'storage', 'tessdata'));
+
+let workerPromise = null;
+let queue = Promise.resolve();
+
+async function getWorker() {
+  if (!workerPromise) {
+    workerPromise = (async () => {
+      const { createWorker } = await import('tesseract.js');
+      await fs.mkdir(OCR_CACHE_DIR, { recursive: true });
+      const options = { cachePath: OCR_CACHE_DIR };
+      if (OCR_LANG_PATH) options.langPath = OCR_LANG_PATH;
+      console.log(`[ocr] starting Tesseract (${OCR_LANG})`);
+      return createWorker(OCR_LANG.split('+'), 1, options);
+    })();
+    workerPromise.catch(() => { workerPromise = null; });
+  }
+  return workerPromise;
+}
+
+// image: Buffer in any format Leptonica reads (PNG, JPEG, TIFF, PNM, BMP). One job at a time.
+export function ocrImage(image) {
+  const job = queue.then(async () => {
+    const worker = await getWorker();
+    const { data } = await worker.recognize(image);
+    return (data?.text || '').trim();
+  });
+  queue = job.catch(() => {});
+  return job;
+}
+
+// The worker thread keeps the process alive; release it once a build is done
+export async function terminateOcr() {
+  if (!workerPromise) return;
+  const pending = workerPromise;
+  workerPromise = null;
+  await queue;
+  try {
+    const worker = await pending;
+    await worker.terminate();
+  } catch {}
+}
+
+// pdf.js decoded image ({ width, height, kind, data }) -> binary PNM (P5 grey / P6 RGB)
+export function imageDataToPnm({ width, height, kind, data }) {
+  const pixels = width * height;
+  if (kind === 1) {
+    // GRAYSCALE_1BPP: rows padded to whole bytes, set bit = white
+    const rowBytes = (width + 7) >> 3;
+    const grey = Buffer.alloc(pixels);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const bit = data[y * rowBytes + (x >> 3)] & (0x80 >> (x & 7));
+        grey[y * width + x] = bit ? 255 : 0;
+      }
+    }
+    return Buffer.concat([Buffer.from(`P5\n${width} ${height}\n255\n`), grey]);
+  }
+  const channels = kind === 3 ? 4 : 3; // RGBA_32BPP or RGB_24BPP
+  const rgb = Buffer.alloc(pixels * 3);
+  for (let i = 0; i < pixels; i++) {
+    rgb[i * 3] = data[i * channels];
+    rgb[i * 3 + 1] = data[i * channels + 1];
+    rgb[i * 3 + 2] = data[i * channels + 2];
+  }
+  return Buffer.concat([Buffer.from(`P6\n${width} ${height}\n255\n`), rgb]);
+}
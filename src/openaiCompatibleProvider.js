@@ -0,0 +1,118 @@
+import * as openai from './openaiProvider.js';
+import { apiUrl, postJson, readNdjson } from './llmHttp.js';
+
+// Self-hosted OpenAI-compatible servers (Ollama, LM Studio, vLLM). The built-in `ollama` profile
+// finds its server by itself when neither Settings nor LLM_BASE_URL give a URL: the docker compose
+// service, the Docker Desktop host and localhost are probed in that order.
+
+export const type = 'openai-compatible';
+
+const DISCOVERY_CANDIDATES = ['http://ollama:11434', 'http://host.docker.internal:11434', 'http://localhost:11434'];
+const DISCOVERY_TTL_MS = Number(process.env.LLM_DISCOVERY_TTL_MS || 60000); // how long a probe result is trusted
+const PROBE_TIMEOUT_MS = 800;
+
+let discovery = { at: 0, baseUrl: null, pending: null };
+
+export function builtinProfile(s) {
+  return {
+    id: 'ollama',
+    name: 'Ollama',
+    type,
+    baseUrl: s.ollama?.url || process.env.LLM_BASE_URL || '',
+    model: s.ollama?.model || process.env.LLM_MODEL || 'llama3.1:8b',
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || process.env.GROQ_API_KEY || 'ollama',
+  };
+}
+
+async function probe(base) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS);
+  try {
+    const res = await fetch(apiUrl(base, '/v1/models'), { signal: controller.signal });
+    return res.ok;
+  } catch {
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// First reachable local server, or null; concurrent callers share one round of probes
+export async function discover() {
+  if (Date.now() - discovery.at < DISCOVERY_TTL_MS) return discovery.baseUrl;
+  discovery.pending ||= (async () => {
+    let found = null;
+    for (const base of DISCOVERY_CANDIDATES) {
+      if (await probe(base)) {
+        found = base;
+        break;
+      }
+    }
+    if (found !== discovery.baseUrl) console.log(`[llm] local server: ${found || 'none found'}`);
+    discovery = { at: Date.now(), baseUrl: found, pending: null };
+    return found;
+  })();
+  return discovery.pending;
+}
+
+export async function resolveBaseUrl(p) {
+  if (p.baseUrl) return p.baseUrl;
+  const found = await discover();
+  // No status: retried like any network failure, since the server may still be starting
+  if (!found) throw new Error(`No OpenAI-compatible server found (tried ${DISCOVERY_CANDIDATES.join(', ')}); set its URL in Settings`);
+  return found;
+}
+
+const located = async (p) => ({ ...p, baseUrl: await resolveBaseUrl(p) });
+
+export async function complete(p, messages, opts) {
+  return openai.complete(await located(p), messages, opts, { native: false });
+}
+
+export async function* stream(p, messages, opts) {
+  yield* openai.stream(await located(p), messages, opts, { native: false });
+}
+
+// Ollama's native API knows each model's context window (`/api/show`); other servers answer 404
+// there and keep whatever `/v1/models` reported
+const contextCache = new Map(); // `${baseUrl} ${model}` -> context length
+
+async function ollamaContextLength(baseUrl, model) {
+  const key = `${baseUrl} ${model}`;
+  if (contextCache.has(key)) return contextCache.get(key);
+  const res = await postJson(apiUrl(baseUrl, '/api/show'), { body: { model, name: model }, timeoutMs: 5000 });
+  const info = (await res.json()).model_info || {};
+  const length = info[`${info['general.architecture']}.context_length`] ?? null;
+  contextCache.set(key, length);
+  return length;
+}
+
+export async function listModels(p) {
+  const target = await located(p);
+  const models = await openai.listModels(target, { native: false });
+  for (const m of models) {
+    if (m.contextLength != null) continue;
+    try {
+      m.contextLength = await ollamaContextLength(target.baseUrl, m.id);
+    } catch {
+      break; // not Ollama, or too slow: no point asking about the rest
+    }
+  }
+  return models;
+}
+
+// Downloads a model into Ollama (`/api/pull`), yielding { status, total?, completed? } as it goes;
+// stopping the iteration cancels the download
+export async function* pullModel(p, model) {
+  const { baseUrl } = await located(p);
+  const res = await postJson(apiUrl(baseUrl, '/api/pull'), { body: { model, name: model, stream: true } });
+  for await (const step of readNdjson(res)) {
+    if (step.error) throw new Error(`Pull of ${model} failed: ${step.error}`);
+    yield { status: step.status || '', total: step.total ?? null, completed: step.completed ?? null };
+    if (step.status === 'success') {
+      for (const key of contextCache.keys()) if (key.endsWith(` ${model}`)) contextCache.delete(key);
+      return;
+    }
+  }
+  throw new Error(`Pull of ${model} ended before it completed`);
+}
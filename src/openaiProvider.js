@@ -0,0 +1,61 @@
+import { apiUrl, configError, getJson, httpError, postJson, readSse } from './llmHttp.js';
+
+// OpenAI Chat Completions, also the wire format of Ollama, vLLM, LM Studio and other
+// "OpenAI-compatible" servers (see openaiCompatibleProvider.js). The hosted API (`native`) requires
+// a key and takes the token limit as `max_completion_tokens`; compatible servers still expect
+// `max_tokens`.
+
+export const type = 'openai';
+export const API_KEY_ENV = 'OPENAI_API_KEY';
+export const DEFAULT_BASE_URL = 'https://api.openai.com';
+
+export function builtinProfile(s) {
+  return {
+    id: 'openai',
+    name: 'OpenAI',
+    type,
+    model: s.openai?.model || process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    apiKey: s.openai?.apiKey || process.env.OPENAI_API_KEY || '',
+  };
+}
+
+const authHeaders = (p) => (p.apiKey ? { Authorization: `Bearer ${p.apiKey}` } : {});
+
+function request(p, messages, { temperature, max_tokens }, stream, native) {
+  if (native && !p.apiKey) throw configError(`Missing OpenAI API key for profile ${p.id}`);
+  return postJson(apiUrl(p.baseUrl || DEFAULT_BASE_URL, '/v1/chat/completions'), {
+    headers: authHeaders(p),
+    body: {
+      model: p.model,
+      messages,
+      temperature,
+      ...(native ? { max_completion_tokens: max_tokens } : { max_tokens }),
+      ...(stream ? { stream: true } : {}),
+    },
+  });
+}
+
+export async function complete(p, messages, opts, { native = true } = {}) {
+  const data = await (await request(p, messages, opts, false, native)).json();
+  return data.choices?.[0]?.message?.content ?? '';
+}
+
+export async function* stream(p, messages, opts, { native = true } = {}) {
+  const res = await request(p, messages, opts, true, native);
+  for await (const { data } of readSse(res)) {
+    if (data === '[DONE]') return;
+    let json;
+    try { json = JSON.parse(data); } catch { continue; }
+    // Some servers report failures mid-stream as an `error` chunk
+    if (json.error) throw httpError(Number(json.error.code) || 500, json.error.message || JSON.stringify(json.error));
+    const delta = json.choices?.[0]?.delta?.content ?? '';
+    if (delta) yield delta;
+  }
+}
+
+// `/v1/models`; OpenAI itself does not report context windows, some compatible servers do
+export async function listModels(p, { native = true } = {}) {
+  if (native && !p.apiKey) throw configError(`Missing OpenAI API key for profile ${p.id}`);
+  const json = await getJson(apiUrl(p.baseUrl || DEFAULT_BASE_URL, '/v1/models'), { headers: authHeaders(p) });
+  return (json.data || []).map((m) => ({ id: m.id, contextLength: m.context_length ?? m.context_window ?? m.max_model_len ?? null }));
+}
@@ -0,0 +1,251 @@
+// Rebuilds reading order from the positions pdf.js returns with getTextContent():
+// items are grouped into rows by baseline and into segments by horizontal gaps, two-column
+// pages are read column by column, running headers/footers that repeat across pages are
+// dropped, and runs of aligned multi-cell rows become Markdown pipe tables.
+
+const MARGIN_BAND = Number(process.env.PDF_MARGIN_BAND || 0.08); // top/bottom page fraction checked for running headers/footers
+const REPEAT_RATIO = Number(process.env.PDF_REPEAT_RATIO || 0.5); // share of pages a line must appear on to count as running
+const SEGMENT_GAP = 1.5; // gap (in font sizes) that separates segments on one row
+const TABLE_MIN_ROWS = 3;
+
+const median = (values) => {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+// pdf.js item -> { x, y, w, size, str } in page space (origin bottom-left)
+function toGlyphRun(it, x0, y0) {
+  const [a, b, , d, e, f] = it.transform;
+  const size = Math.abs(d) || Math.hypot(a, b) || it.height || 10;
+  return { x: e - x0, y: f - y0, w: it.width || 0, size, str: it.str };
+}
+
+function joinRuns(runs) {
+  let text = '';
+  let prev = null;
+  for (const r of runs) {
+    if (prev) {
+      const gap = r.x - (prev.x + prev.w);
+      if (gap > prev.size * 0.15 && !/\s$/.test(text) && !/^\s/.test(r.str)) text += ' ';
+    }
+    text += r.str;
+    prev = r;
+  }
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Rows share a baseline; each row is cut into segments wherever the gap is wide
+function buildRows(runs) {
+  const sorted = runs.filter((r) => r.str.trim()).sort((a, b) => b.y - a.y || a.x - b.x);
+  const rows = [];
+  for (const r of sorted) {
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(row.y - r.y) <= Math.max(row.size, r.size) * 0.4) {
+      row.runs.push(r);
+      row.size = Math.max(row.size, r.size);
+    } else {
+      rows.push({ y: r.y, size: r.size, runs: [r] });
+    }
+  }
+  return rows.map((row) => {
+    row.runs.sort((a, b) => a.x - b.x);
+    const segments = [];
+    let current = null;
+    for (const r of row.runs) {
+      if (current && r.x - current.x1 <= row.size * SEGMENT_GAP) {
+        current.runs.push(r);
+        current.x1 = Math.max(current.x1, r.x + r.w);
+      } else {
+        current = { x0: r.x, x1: r.x + r.w, runs: [r] };
+        segments.push(current);
+      }
+    }
+    for (const s of segments) s.text = joinRuns(s.runs);
+    return { y: row.y, size: row.size, segments: segments.filter((s) => s.text) };
+  }).filter((row) => row.segments.length);
+}
+
+const rowText = (row) => row.segments.map((s) => s.text).join(' ');
+const runningKey = (row) => rowText(row).toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+// "#", "page #", "# of #" or a well-formed roman numeral up to 399 (front matter), so that
+// words spelt with the same letters ("civil", "vivid", "ill") are not mistaken for page numbers
+const ROMAN_PAGE = '(?=[ivxlc])c{0,3}(?:xc|xl|l?x{0,3})(?:ix|iv|v?i{0,3})';
+const PAGE_NUMBER_RE = new RegExp(`^(?:page\\s*)?(?:[#\\d]+|${ROMAN_PAGE})(?:\\s*(?:of|/)\\s*[#\\d]+)?$`, 'i');
+
+function inMarginBand(row, height) {
+  return row.y > height * (1 - MARGIN_BAND) || row.y < height * MARGIN_BAND;
+}
+
+// Drop rows in the top/bottom bands that repeat (digits ignored) on most pages, plus bare page numbers
+function stripRunningRows(pages) {
+  const counts = new Map();
+  for (const page of pages) {
+    const keys = new Set(page.rows.filter((r) => inMarginBand(r, page.height)).map(runningKey));
+    for (const k of keys) counts.set(k, (counts.get(k) || 0) + 1);
+  }
+  const minPages = Math.max(2, Math.ceil(pages.length * REPEAT_RATIO));
+  for (const page of pages) {
+    page.rows = page.rows.filter((r) => {
+      if (!inMarginBand(r, page.height)) return true;
+      const key = runningKey(r);
+      if (PAGE_NUMBER_RE.test(key)) return false;
+      return !(pages.length >= 3 && counts.get(key) >= minPages);
+    });
+  }
+}
+
+// Looks for a vertical gutter in the middle of the page that most rows do not cross and that
+// has long (prose) segments on both sides. Returns its x position or null.
+function findGutter(rows, width) {
+  if (rows.length < 6 || !width) return null;
+  let best = null;
+  let ties = [];
+  for (let x = width * 0.3; x <= width * 0.7; x += width / 100) {
+    let crossing = 0;
+    let left = 0;
+    let right = 0;
+    for (const row of rows) {
+      if (row.segments.some((s) => s.x0 < x && s.x1 > x)) crossing += 1;
+      else {
+        if (row.segments.some((s) => s.x1 <= x)) left += 1;
+        if (row.segments.some((s) => s.x0 >= x)) right += 1;
+      }
+    }
+    if (crossing / rows.length > 0.4 || left < rows.length * 0.3 || right < rows.length * 0.3) continue;
+    if (!best || crossing < best.crossing) {
+      best = { x, crossing };
+      ties = [x];
+    } else if (crossing === best.crossing) ties.push(x);
+  }
+  if (!best) return null;
+  // Centre of the clear band rather than its left edge
+  best.x = median(ties);
+  // Tables also have gutters; columns of prose have wide segments
+  const sideWidths = rows
+    .filter((row) => !row.segments.some((s) => s.x0 < best.x && s.x1 > best.x))
+    .flatMap((row) => row.segments.map((s) => s.x1 - s.x0));
+  return median(sideWidths) >= width * 0.25 ? best.x : null;
+}
+
+// Rows crossing the gutter, and table rows (more cells than two columns of prose), span the page
+const isFullWidth = (row, gutter) => row.segments.length > 2 || row.segments.some((s) => s.x0 < gutter && s.x1 > gutter);
+
+// Reading order: full-width rows stay in place; between them the left column is read before the right
+function orderRows(rows, gutter) {
+  if (gutter === null) return [rows];
+  const flows = [];
+  let full = [];
+  let left = [];
+  let right = [];
+  const flush = (...groups) => {
+    for (const g of groups) if (g.length) flows.push(g);
+  };
+  for (const row of rows) {
+    if (isFullWidth(row, gutter)) {
+      flush(left, right);
+      left = [];
+      right = [];
+      full.push(row);
+      continue;
+    }
+    flush(full);
+    full = [];
+    const l = row.segments.filter((s) => s.x1 <= gutter);
+    const r = row.segments.filter((s) => s.x0 >= gutter);
+    if (l.length) left.push({ ...row, segments: l });
+    if (r.length) right.push({ ...row, segments: r });
+  }
+  flush(full, left, right);
+  return flows;
+}
+
+// Column intervals of a candidate table: x ranges covered by some cell, split where no row has text
+function tableColumns(rows) {
+  const spans = rows.flatMap((r) => r.segments.map((s) => [s.x0, s.x1])).sort((a, b) => a[0] - b[0]);
+  const cols = [];
+  for (const [x0, x1] of spans) {
+    const last = cols[cols.length - 1];
+    if (last && x0 <= last[1]) last[1] = Math.max(last[1], x1);
+    else cols.push([x0, x1]);
+  }
+  return cols;
+}
+
+function renderTable(rows) {
+  const cols = tableColumns(rows);
+  if (cols.length < 2) return null;
+  const cells = rows.map((row) => {
+    const out = cols.map(() => []);
+    for (const s of row.segments) {
+      const mid = (s.x0 + s.x1) / 2;
+      let c = cols.findIndex(([x0, x1]) => mid >= x0 && mid <= x1);
+      if (c < 0) c = 0;
+      out[c].push(s.text);
+    }
+    return out.map((parts) => parts.join(' ').replace(/\|/g, '\\|'));
+  });
+  // Bulleted lists also produce two aligned "columns"; a table's first column is not just markers
+  if (cells.every((r) => r[0].length <= 2 && !/[\p{L}\p{N}]/u.test(r[0]))) return null;
+  const line = (r) => `| ${r.join(' | ')} |`;
+  return [line(cells[0]), line(cols.map(() => '---')), ...cells.slice(1).map(line)].join('\n');
+}
+
+// One flow (column or full-width band) -> Markdown blocks
+function flowToBlocks(rows) {
+  const gaps = [];
+  for (let i = 1; i < rows.length; i++) {
+    const gap = rows[i - 1].y - rows[i].y;
+    if (gap > 0 && gap < rows[i].size * 3) gaps.push(gap);
+  }
+  const lineGap = median(gaps) || (rows[0]?.size || 10) * 1.2;
+  const blocks = [];
+  let para = [];
+  const flushPara = () => {
+    if (!para.length) return;
+    let text = '';
+    for (const line of para) {
+      // Re-join words hyphenated across a line break
+      if (/[\p{Ll}]-$/u.test(text) && /^\p{Ll}/u.test(line)) text = text.slice(0, -1) + line;
+      else text = text ? `${text} ${line}` : line;
+    }
+    blocks.push(text);
+    para = [];
+  };
+  for (let i = 0; i < rows.length;) {
+    // Table: a run of rows that each have several segments
+    let j = i;
+    while (j < rows.length && rows[j].segments.length >= 2) j += 1;
+    if (j - i >= TABLE_MIN_ROWS) {
+      const table = renderTable(rows.slice(i, j));
+      if (table) {
+        flushPara();
+        blocks.push(table);
+        i = j;
+        continue;
+      }
+    }
+    const row = rows[i];
+    if (i > 0 && rows[i - 1].y - row.y > lineGap * 1.5) flushPara();
+    para.push(rowText(row));
+    i += 1;
+  }
+  flushPara();
+  return blocks;
+}
+
+// pages: [{ pageNumber, view: [x0, y0, x1, y1], items }] with pdf.js text items.
+// Returns [{ pageNumber, text }] with paragraphs separated by blank lines.
+export function layoutPdfPages(pages) {
+  const laid = pages.map(({ pageNumber, view, items }) => {
+    const [x0 = 0, y0 = 0, x1 = 0, y1 = 0] = view || [];
+    const runs = (items || []).filter((it) => typeof it.str === 'string' && it.transform).map((it) => toGlyphRun(it, x0, y0));
+    return { pageNumber, width: x1 - x0, height: y1 - y0, rows: buildRows(runs) };
+  });
+  stripRunningRows(laid);
+  return laid.map((page) => {
+    const flows = orderRows(page.rows, findGutter(page.rows, page.width));
+    const text = flows.flatMap(flowToBlocks).join('\n\n');
+    return { pageNumber: page.pageNumber, text };
+  });
+}
@@ -0,0 +1,109 @@
+import path from 'node:path';
+import unzipper from 'unzipper';
+
+// PowerPoint (.pptx) slides in presentation order: shape text paragraph by paragraph, tables as
+// Markdown tables, chart titles and the speaker notes. Slide numbers are positions in the deck
+// (as shown in PowerPoint), not the numbers in the part names, which go stale after reordering.
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+  return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, name) => {
+    if (name[0] !== '#') return ENTITIES[name] ?? m;
+    const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+    return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+  });
+}
+
+// Text of each <a:p> in `xml`; <a:br/> and tabs become spaces
+function paragraphs(xml) {
+  const out = [];
+  for (const [, body] of xml.matchAll(/<a:p(?:\s[^>]*)?>([\s\S]*?)<\/a:p>/g)) {
+    const runs = [...body.matchAll(/<a:t>([\s\S]*?)<\/a:t>|<a:br\b[^>]*\/>|<a:tab\b[^>]*\/>/g)].map((m) => (m[1] !== undefined ? decodeXml(m[1]) : ' '));
+    const text = runs.join('').replace(/\s+/g, ' ').trim();
+    if (text) out.push(text);
+  }
+  return out;
+}
+
+const cell = (xml) => paragraphs(xml).join(' ').replace(/\|/g, '\\|');
+
+function tableMarkdown(xml) {
+  const rows = [...xml.matchAll(/<a:tr\b[^>]*>([\s\S]*?)<\/a:tr>/g)]
+    .map(([, row]) => [...row.matchAll(/<a:tc\b[^>]*?(?:\/>|>([\s\S]*?)<\/a:tc>)/g)].map((m) => cell(m[1] || '')));
+  const width = Math.max(0, ...rows.map((r) => r.length));
+  if (!width || rows.every((r) => r.every((c) => !c))) return '';
+  const line = (r) => `| ${Array.from({ length: width }, (_, i) => r[i] || '').join(' | ')} |`;
+  return [line(rows[0]), `|${' --- |'.repeat(width)}`, ...rows.slice(1).map(line)].join('\n');
+}
+
+// rId -> { type, target } with targets resolved against the part's folder
+function parseRels(xml, partPath) {
+  const rels = new Map();
+  for (const [tag] of String(xml || '').matchAll(/<Relationship\b[^>]*>/g)) {
+    const attr = (name) => decodeXml((tag.match(new RegExp(`\\b${name}="([^"]*)"`)) || [])[1] || '');
+    if (attr('TargetMode') === 'External') continue;
+    rels.set(attr('Id'), { type: attr('Type').split('/').pop(), target: path.posix.normalize(path.posix.join(path.posix.dirname(partPath), attr('Target'))) });
+  }
+  return rels;
+}
+
+const relsPath = (partPath) => path.posix.join(path.posix.dirname(partPath), '_rels', `${path.posix.basename(partPath)}.rels`);
+
+// Placeholders that only repeat what the slide shows (or the slide number) are left out of notes
+const NOTES_SKIP = /<p:ph\b[^>]*type="(sldNum|sldImg|hdr|ftr|dt)"/;
+
+function shapes(xml) {
+  return [...xml.matchAll(/<p:sp(?:\s[^>]*)?>[\s\S]*?<\/p:sp>/g)].map(([shape]) => shape);
+}
+
+// -> [{ slideNumber, title, text }], text blocks separated by blank lines
+export async function readPptxSlides(filePath) {
+  const dir = await unzipper.Open.file(filePath);
+  const parts = new Map(dir.files.map((f) => [f.path, f]));
+  const read = async (p) => (parts.has(p) ? (await parts.get(p).buffer()).toString('utf-8') : null);
+
+  const presentation = (await read('ppt/presentation.xml')) || '';
+  const presRels = parseRels(await read(relsPath('ppt/presentation.xml')), 'ppt/presentation.xml');
+  let order = [...presentation.matchAll(/<p:sldId\b[^>]*\br:id="([^"]+)"/g)]
+    .map(([, id]) => presRels.get(id)?.target)
+    .filter((p) => p && parts.has(p));
+  // Decks without a usable slide list fall back to the part names
+  if (!order.length) {
+    const num = (p) => Number((p.match(/slide(\d+)\.xml$/i) || [])[1] || 0);
+    order = [...parts.keys()].filter((p) => /^ppt\/slides\/slide\d+\.xml$/i.test(p)).sort((a, b) => num(a) - num(b));
+  }
+
+  const slides = [];
+  for (const [i, slidePath] of order.entries()) {
+    const xml = await read(slidePath);
+    const rels = parseRels(await read(relsPath(slidePath)), slidePath);
+    const blocks = [];
+    let title = null;
+    // Shapes, tables and charts in drawing order
+    const re = /<p:sp(?:\s[^>]*)?>[\s\S]*?<\/p:sp>|<a:tbl>[\s\S]*?<\/a:tbl>|<c:chart\b[^>]*>/g;
+    for (const [part] of xml.matchAll(re)) {
+      if (part.startsWith('<a:tbl>')) {
+        const table = tableMarkdown(part);
+        if (table) blocks.push(table);
+      } else if (part.startsWith('<c:chart')) {
+        const rel = rels.get((part.match(/\br:id="([^"]+)"/) || [])[1]);
+        const chart = rel ? await read(rel.target) : null;
+        const heading = chart ? paragraphs((chart.match(/<c:title>([\s\S]*?)<\/c:title>/) || [])[1] || '').join(' ') : '';
+        if (heading) blocks.push(`Chart: ${heading}`);
+      } else {
+        const lines = paragraphs(part);
+        if (!lines.length) continue;
+        if (!title && /<p:ph\b[^>]*type="(title|ctrTitle)"/.test(part)) title = lines.join(' ');
+        else blocks.push(lines.join('\n'));
+      }
+    }
+    const notesRel = [...rels.values()].find((r) => r.type === 'notesSlide');
+    const notesXml = notesRel ? await read(notesRel.target) : null;
+    const notes = notesXml ? shapes(notesXml).filter((s) => !NOTES_SKIP.test(s)).flatMap(paragraphs).join('\n') : '';
+    if (notes) blocks.push(`Notes: ${notes}`);
+    const head = `Slide ${i + 1}${title ? `: ${title}` : ''}`;
+    slides.push({ slideNumber: i + 1, title, text: blocks.length || title ? [head, ...blocks].join('\n\n') : '' });
+  }
+  return slides;
+}
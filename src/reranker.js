@@ -0,0 +1,50 @@
+import { AutoTokenizer, AutoModelForSequenceClassification } from '@xenova/transformers';
+
+// Optional second retrieval stage: a local cross-encoder scores (query, chunk) pairs jointly,
+// which separates near-identical boilerplate chunks far better than bi-encoder cosine scores.
+
+export const DEFAULT_RERANK_MODEL = 'Xenova/ms-marco-MiniLM-L-6-v2';
+const RERANK_BATCH_SIZE = Number(process.env.RERANK_BATCH_SIZE || 16);
+const RERANK_MAX_CHARS = Number(process.env.RERANK_MAX_CHARS || 2000);
+
+const loaded = new Map(); // model -> Promise<{ tokenizer, model }>
+
+async function getCrossEncoder(name) {
+  if (!loaded.has(name)) {
+    const loading = Promise.all([
+      AutoTokenizer.from_pretrained(name),
+      AutoModelForSequenceClassification.from_pretrained(name),
+    ]).then(([tokenizer, model]) => ({ tokenizer, model }));
+    loaded.set(name, loading);
+    loading.catch(() => loaded.delete(name));
+  }
+  return loaded.get(name);
+}
+
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+// results: searchIndex output. Returns the best `topN`, each with a `rerankScore` in [0, 1].
+export async function rerankResults(query, results, { model = DEFAULT_RERANK_MODEL, topN = results.length } = {}) {
+  if (!results.length) return [];
+  const { tokenizer, model: encoder } = await getCrossEncoder(model);
+  const scored = [];
+  for (let start = 0; start < results.length; start += RERANK_BATCH_SIZE) {
+    const batch = results.slice(start, start + RERANK_BATCH_SIZE);
+    const inputs = tokenizer(batch.map(() => query), {
+      text_pair: batch.map((r) => r.item.text.slice(0, RERANK_MAX_CHARS)),
+      padding: true,
+      truncation: true,
+    });
+    const { logits } = await encoder(inputs);
+    const width = logits.dims[1] || 1;
+    batch.forEach((r, i) => {
+      // Single-logit relevance heads score sigmoid(logit); two-label heads (irrelevant, relevant) the
+      // softmax probability of "relevant", which is sigmoid(l1 - l0)
+      const row = i * width;
+      const logit = width === 2 ? logits.data[row + 1] - logits.data[row] : logits.data[row + width - 1];
+      scored.push({ ...r, rerankScore: sigmoid(logit) });
+    });
+  }
+  scored.sort((a, b) => b.rerankScore - a.rerankScore);
+  return scored.slice(0, topN);
+}
@@ -1,71 +1,240 @@
 import fs from 'node:fs/promises';
+import os from 'node:os';
 import path from 'node:path';
+import crypto from 'node:crypto';
 import fg from 'fast-glob';
-import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import ignore from 'ignore';
+import { getDocument, OPS } from 'pdfjs-dist/legacy/build/pdf.mjs';
 import mammoth from 'mammoth';
 import { pipeline } from '@xenova/transformers';
-import { htmlToText } from 'html-to-text';
 import YAML from 'yaml';
 import xlsx from 'xlsx';
 import unzipper from 'unzipper';
+import { buildBm25, scoreBm25 } from './bm25.js';
+import { buildIvf, searchIvf } from './ivfIndex.js';
+import { loadSettings } from './settings.js';
+import { htmlToMarkdown } from './htmlToMarkdown.js';
+import { layoutPdfPages } from './pdfLayout.js';
+import { OCR_ENABLED, ocrImage, imageDataToPnm, terminateOcr } from './ocr.js';
+import { ARCHIVE_EXTS, archiveMembers, fileExt, isArchive, safeMemberName } from './archives.js';
+import { parseMessage, splitMbox } from './mailParser.js';
+import { CHUNK_TOKEN_BUDGET, chunkMarkdown, chunkPages, chunkParagraphs, estimateTokens } from './chunkers.js';
+import { CODE_EXTS, chunkCode } from './codeChunker.js';
+import { chunkTable, parseDelimited } from './tableChunker.js';
+import { compileFilter } from './metadataFilter.js';
+import { DEDUP_ENABLED, groupDuplicates, minhash } from './dedup.js';
+import { isWebUrl, listWebPages, loadWebPage } from './webCrawler.js';
+import { readPptxSlides } from './pptxReader.js';
 
 const INDEX_DIR = process.env.INDEX_DIR ? path.resolve(process.env.INDEX_DIR) : path.resolve('storage');
-const INDEX_PATH = path.join(INDEX_DIR, 'index.json');
+// Metadata (JSON) and vectors (row-major Float32, items.length * dim) are stored separately
+const INDEX_META_PATH = path.join(INDEX_DIR, 'index.meta.json');
+const INDEX_VECTORS_PATH = path.join(INDEX_DIR, 'index.vectors.f32');
+const INDEX_BM25_PATH = path.join(INDEX_DIR, 'index.bm25.json');
+const INDEX_IVF_PATH = path.join(INDEX_DIR, 'index.ivf.json');
+const INDEX_CENTROIDS_PATH = path.join(INDEX_DIR, 'index.ivf.f32');
+const LEGACY_INDEX_PATH = path.join(INDEX_DIR, 'index.json');
+const INDEX_REPORT_PATH = path.join(INDEX_DIR, 'index.report.json');
 
 // Tunables
-const PDF_MAX_CHARS = Number(process.env.PDF_MAX_CHARS || 4000); // limit per-page text length
+const PDF_LAYOUT = process.env.PDF_LAYOUT !== '0'; // reading order, columns, tables, running headers (0 = plain text join)
+const OCR_MIN_CHARS = Number(process.env.OCR_MIN_CHARS || 10); // pages with less extracted text are OCR'd
+const OCR_MIN_IMAGE_PIXELS = Number(process.env.OCR_MIN_IMAGE_PIXELS || 40000); // skip icons and rules
+const OCR_IMAGE_TIMEOUT_MS = Number(process.env.OCR_IMAGE_TIMEOUT_MS || 10000); // wait for pdf.js to decode one image
+const IMAGE_EXTS = new Set(['.png', '.jpg', '.jpeg', '.tif', '.tiff']);
+const PDF_CHUNK_SPAN_PAGES = /^(1|true|yes)$/i.test(process.env.PDF_CHUNK_SPAN_PAGES || ''); // let PDF chunks cross page breaks
+const CODE_INGEST = /^(1|true|yes)$/i.test(process.env.CODE_INGEST || ''); // also index source files (respecting .gitignore)
 const TXT_CHUNK_SIZE = Number(process.env.TXT_CHUNK_SIZE || 600); // words
 const TXT_CHUNK_OVERLAP = Number(process.env.TXT_CHUNK_OVERLAP || 80); // words
+const CHUNKING_VERSION = 9; // bump when chunk boundaries change so the next rebuild re-chunks everything
 const LOG_EVERY_N_ITEMS = Number(process.env.LOG_EVERY_N_ITEMS || 200);
+const HYBRID_RRF_K = Number(process.env.HYBRID_RRF_K || 60); // reciprocal rank fusion constant
+const DEFAULT_LEXICAL_WEIGHT = Number(process.env.HYBRID_LEXICAL_WEIGHT ?? 0.5); // 0 = vectors only, 1 = BM25 only
+const ANN_MIN_ITEMS = Number(process.env.ANN_MIN_ITEMS || 50000); // build/use the IVF index above this many items
+const ANN_NLIST = Number(process.env.ANN_NLIST || 0); // 0 = sqrt(items)
+const ANN_NPROBE = Number(process.env.ANN_NPROBE || 16);
+const ANN_CANDIDATES = Number(process.env.ANN_CANDIDATES || 200); // vector candidates handed to fusion
+const DEDUP_DOC_RATIO = Number(process.env.DEDUP_DOC_RATIO || 0.8); // share of a file's chunks found in another file to call it a duplicate
 
-let embedderPipeline = null; // feature-extraction
+export const DEFAULT_EMBEDDING_MODEL = 'Xenova/all-MiniLM-L6-v2';
 
-async function getEmbedder() {
-  if (!embedderPipeline) {
-    embedderPipeline = await pipeline('feature-extraction', 'Xenova/all-MiniLM-L6-v2');
+const embedderPipelines = new Map(); // model -> Promise<feature-extraction pipeline>
+
+async function getEmbedder(model) {
+  if (!embedderPipelines.has(model)) {
+    const loading = pipeline('feature-extraction', model);
+    embedderPipelines.set(model, loading);
+    loading.catch(() => embedderPipelines.delete(model));
+  }
+  return embedderPipelines.get(model);
+}
+
+// Family defaults: e5 expects "query: "/"passage: " prefixes, bge a query instruction and CLS pooling
+function embeddingPresets(model) {
+  const m = model.toLowerCase();
+  if (/(^|[/-])e5-/.test(m)) return { queryPrefix: 'query: ', passagePrefix: 'passage: ', pooling: 'mean' };
+  if (/bge-.*-en/.test(m)) return { queryPrefix: 'Represent this sentence for searching relevant passages: ', passagePrefix: '', pooling: 'cls' };
+  if (/bge-/.test(m)) return { queryPrefix: '', passagePrefix: '', pooling: 'cls' };
+  return { queryPrefix: '', passagePrefix: '', pooling: 'mean' };
+}
+
+// Resolved from settings.embedding, then EMBEDDING_* env, then model family presets
+export async function getEmbeddingConfig() {
+  const s = await loadSettings().catch(() => ({}));
+  const e = s.embedding || {};
+  const model = e.model || process.env.EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL;
+  const presets = embeddingPresets(model);
+  return {
+    model,
+    queryPrefix: e.queryPrefix ?? process.env.EMBEDDING_QUERY_PREFIX ?? presets.queryPrefix,
+    passagePrefix: e.passagePrefix ?? process.env.EMBEDDING_PASSAGE_PREFIX ?? presets.passagePrefix,
+    pooling: e.pooling || process.env.EMBEDDING_POOLING || presets.pooling,
+  };
+}
+
+// Indexes written before model stamping were always MiniLM with mean pooling and no prefixes
+function indexEmbedding(index) {
+  return index.embedding || { model: index.model || DEFAULT_EMBEDDING_MODEL, passagePrefix: '', pooling: 'mean' };
+}
+
+function sameEmbedding(a, b) {
+  return a.model === b.model && (a.passagePrefix || '') === (b.passagePrefix || '') && a.pooling === b.pooling;
+}
+
+// null when the index can be queried with the configured model, otherwise a human-readable reason
+export async function checkIndexModel(index = null) {
+  const idx = index || await loadIndex();
+  if (!idx.items.length) return null;
+  const configured = await getEmbeddingConfig();
+  const stored = indexEmbedding(idx);
+  if (sameEmbedding(stored, configured)) return null;
+  return `Index was built with embedding model ${stored.model} (${idx.dim}-d, ${stored.pooling} pooling) but ${configured.model} (${configured.pooling} pooling) is configured; rebuild the index`;
+}
+
+// Problems while reading a file are logged and, during a build, recorded in its ingest report
+// (see buildCorpusChunks): warnings for what was skipped or degraded, the error when nothing could be read
+function warn(report, tag, message, filePath = null) {
+  console.warn(`[${tag}] ${filePath ? `${path.basename(filePath)}: ` : ''}${message}`);
+  report?.warnings.push(message);
+}
+
+function fail(report, tag, filePath, e) {
+  console.warn(`[${tag}] ${path.basename(filePath)} failed: ${e.message || e}`);
+  if (report) report.error = String(e.message || e);
+}
+
+// pdf.js image object, or null when it is not resolved in time (a broken or unsupported image
+// never calls back)
+function pdfImageObject(objs, name) {
+  let timer;
+  return Promise.race([
+    new Promise((resolve) => objs.get(name, resolve)),
+    new Promise((resolve) => { timer = setTimeout(() => resolve(null), OCR_IMAGE_TIMEOUT_MS); }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+// Decoded raster images painted on a page, in drawing order
+async function pdfPageImages(page, report) {
+  const ops = await page.getOperatorList();
+  const images = [];
+  for (let i = 0; i < ops.fnArray.length; i++) {
+    const fn = ops.fnArray[i];
+    let img = null;
+    if (fn === OPS.paintImageXObject || fn === OPS.paintImageXObjectRepeat) {
+      const name = ops.argsArray[i][0];
+      const objs = name.startsWith('g_') ? page.commonObjs : page.objs;
+      img = await pdfImageObject(objs, name);
+      if (!img) warn(report, 'ocr', `page ${page.pageNumber}: image ${name} not decoded within ${OCR_IMAGE_TIMEOUT_MS} ms, skipped`);
+    } else if (fn === OPS.paintInlineImageXObject) {
+      img = ops.argsArray[i][0];
+    }
+    if (img?.data && img.width * img.height >= OCR_MIN_IMAGE_PIXELS) images.push(img);
   }
-  return embedderPipeline;
+  return images;
+}
+
+// Pages without a usable text layer (scans) are OCR'd from their images and marked `ocr: true`
+async function ocrPdfPages(pdf, pages, report) {
+  for (const p of pages) {
+    if (p.text.replace(/\s/g, '').length >= OCR_MIN_CHARS) continue;
+    try {
+      const images = await pdfPageImages(await pdf.getPage(p.pageNumber), report);
+      const texts = [];
+      for (const img of images) texts.push(await ocrImage(imageDataToPnm(img)));
+      const text = texts.filter(Boolean).join('\n\n');
+      if (text) Object.assign(p, { text, ocr: true });
+    } catch (e) {
+      warn(report, 'ocr', `page ${p.pageNumber} OCR failed: ${e.message || e}`);
+    }
+  }
+  return pages;
 }
 
-async function extractPdfPages(filePath) {
+// -> { pages, info }; `info` is the document information dictionary (Title, Author, CreationDate)
+async function extractPdfPages(filePath, { ocr = OCR_ENABLED, report = null } = {}) {
   const data = new Uint8Array(await fs.readFile(filePath));
   const loadingTask = getDocument({
     data,
     disableWorker: true,
     isEvalSupported: false,
+    isOffscreenCanvasSupported: false, // keep decoded image bytes for OCR
     useSystemFonts: false,
     disableFontFace: true,
     disableRange: true,
   });
   const pdf = await loadingTask.promise;
+  if (report) report.pages = pdf.numPages;
+  const { info = null } = await pdf.getMetadata().catch(() => ({}));
   const pages = [];
   for (let i = 1; i <= pdf.numPages; i++) {
     const page = await pdf.getPage(i);
     const content = await page.getTextContent();
-    let text = content.items.map((it) => it.str).join(' ').trim();
-    if (text.length > PDF_MAX_CHARS) text = text.slice(0, PDF_MAX_CHARS);
+    if (PDF_LAYOUT) {
+      pages.push({ pageNumber: i, view: page.view, items: content.items });
+      continue;
+    }
+    // Keep pdf.js line ends so paragraphs (blank lines) survive for the chunker
+    const text = content.items.map((it) => it.str + (it.hasEOL ? '\n' : ' ')).join('').replace(/[ \t]+\n/g, '\n').trim();
     pages.push({ pageNumber: i, text });
   }
-  return pages;
+  // Running headers/footers are found by comparing pages, so layout runs over the whole document
+  const laid = PDF_LAYOUT ? layoutPdfPages(pages) : pages;
+  if (ocr) await ocrPdfPages(pdf, laid, report);
+  await pdf.destroy?.();
+  return { pages: laid, info };
 }
 
-export async function loadTextFromFile(filePath) {
+// `report` (see buildCorpusChunks) collects warnings and the error when a format cannot be read
+export async function loadTextFromFile(filePath, { report = null } = {}) {
   const ext = path.extname(filePath).toLowerCase();
   if (ext === '.pdf') {
-    const pages = await extractPdfPages(filePath);
+    const { pages } = await extractPdfPages(filePath, { report });
     return pages.map((p) => p.text).join('\n');
   }
+  if (IMAGE_EXTS.has(ext)) {
+    if (!OCR_ENABLED) return '';
+    try {
+      return await ocrImage(await fs.readFile(filePath));
+    } catch (e) {
+      fail(report, 'ocr', filePath, e);
+      return '';
+    }
+  }
+  if (ext === '.eml' || ext === '.mbox') {
+    return (await loadMailMessages(filePath)).map(({ message }) => `${mailHeaderText(message)}\n\n${message.text}`).join('\n\n');
+  }
   if (ext === '.docx') {
     const data = await fs.readFile(filePath);
-    const result = await mammoth.extractRawText({ buffer: data });
-    return result.value || '';
+    // Via HTML so headings and tables survive for the Markdown chunker
+    const result = await mammoth.convertToHtml({ buffer: data });
+    return htmlToMarkdown(result.value || '');
   }
   if (ext === '.md' || ext === '.txt') {
     return await fs.readFile(filePath, 'utf-8');
   }
   if (ext === '.html' || ext === '.htm') {
     const raw = await fs.readFile(filePath, 'utf-8');
-    return htmlToText(raw, { wordwrap: false, selectors: [{ selector: 'a', options: { ignoreHref: true } }] });
+    return htmlToMarkdown(raw);
   }
   if (ext === '.csv' || ext === '.tsv' || ext === '.log' || ext === '.jsonl') {
     // Treat as plain text for simplicity
@@ -75,7 +244,8 @@ export async function loadTextFromFile(filePath) {
     try {
       const obj = JSON.parse(await fs.readFile(filePath, 'utf-8'));
       return JSON.stringify(obj, null, 2);
-    } catch {
+    } catch (e) {
+      warn(report, 'json', `invalid JSON, indexed as plain text (${e.message || e})`, filePath);
       return await fs.readFile(filePath, 'utf-8');
     }
   }
@@ -84,7 +254,8 @@ export async function loadTextFromFile(filePath) {
       const txt = await fs.readFile(filePath, 'utf-8');
       const obj = YAML.parse(txt);
       return JSON.stringify(obj, null, 2);
-    } catch {
+    } catch (e) {
+      warn(report, 'yaml', `invalid YAML, indexed as plain text (${e.message || e})`, filePath);
       return await fs.readFile(filePath, 'utf-8');
     }
   }
@@ -103,7 +274,8 @@ export async function loadTextFromFile(filePath) {
         }
       }
       return parts.join('\n\n');
-    } catch {
+    } catch (e) {
+      warn(report, 'ipynb', `unreadable notebook, indexed as plain text (${e.message || e})`, filePath);
       return await fs.readFile(filePath, 'utf-8');
     }
   }
@@ -119,7 +291,8 @@ export async function loadTextFromFile(filePath) {
         chunks.push(`# Sheet: ${name}\n${tsv}`.trim());
       }
       return chunks.join('\n\n');
-    } catch {
+    } catch (e) {
+      fail(report, 'xlsx', filePath, e);
       return '';
     }
   }
@@ -127,38 +300,91 @@ export async function loadTextFromFile(filePath) {
     try {
       const text = await extractEpubText(filePath);
       return text;
-    } catch {
+    } catch (e) {
+      fail(report, 'epub', filePath, e);
       return '';
     }
   }
   if (ext === '.pptx') {
     try {
-      const text = await extractPptxText(filePath);
-      return text;
-    } catch {
+      const slides = await readPptxSlides(filePath);
+      return slides.map((s) => s.text).filter(Boolean).join('\n\n');
+    } catch (e) {
+      fail(report, 'pptx', filePath, e);
       return '';
     }
   }
   return '';
 }
 
+// .eml -> one message cited as the file itself; .mbox -> one message per "From " block,
+// cited as "box.mbox!/<n>.eml". Attachments are returned undecoded for the caller to index.
+export async function loadMailMessages(filePath) {
+  const raw = await fs.readFile(filePath);
+  if (path.extname(filePath).toLowerCase() === '.eml') return [{ sourcePath: filePath, message: parseMessage(raw) }];
+  return splitMbox(raw).map((m, i) => ({ sourcePath: `${filePath}!/${i + 1}.eml`, message: parseMessage(m) }));
+}
+
+function mailHeaderText(message) {
+  return [
+    message.subject && `Subject: ${message.subject}`,
+    message.from && `From: ${message.from}`,
+    message.to && `To: ${message.to}`,
+    message.date && `Date: ${message.date}`,
+  ].filter(Boolean).join('\n');
+}
+
+// Extensions that can be indexed directly (archives are listed too and expanded at chunking time)
+export const DOC_EXTS = [
+  '.pdf',
+  '.docx',
+  '.md',
+  '.txt',
+  '.html', '.htm',
+  '.csv', '.tsv', '.log', '.jsonl',
+  '.json', '.yaml', '.yml',
+  '.ipynb',
+  '.xlsx',
+  '.epub',
+  '.pptx',
+  '.eml', '.mbox',
+  '.png', '.jpg', '.jpeg', '.tif', '.tiff',
+];
+
+// Every .gitignore under the docs dir applies to its own subtree, as in git
+async function gitignoreMatcher(base) {
+  const ignoreFiles = await fg('**/.gitignore', { cwd: base, dot: true, onlyFiles: true, ignore: ['**/node_modules/**', '**/.git/**'] });
+  const rules = [];
+  for (const rel of ignoreFiles) {
+    const dir = path.posix.dirname(rel);
+    rules.push({ dir: dir === '.' ? '' : `${dir}/`, ig: ignore().add(await fs.readFile(path.join(base, rel), 'utf-8')) });
+  }
+  return (rel) => rules.some(({ dir, ig }) => rel.startsWith(dir) && ig.ignores(rel.slice(dir.length)));
+}
+
+// Everything listDocFiles picks up
+export const INDEXED_EXTS = [...DOC_EXTS, ...ARCHIVE_EXTS, ...(CODE_INGEST ? CODE_EXTS : [])];
+
+// User metadata for a document lives next to it: "report.pdf.meta.json" = { "tags": ["legal"], ... }
+export const SIDECAR_SUFFIX = '.meta.json';
+
 export async function listDocFiles(docDir = 'docs') {
   const base = path.resolve(docDir);
-  const patterns = [
-    '**/*.pdf',
-    '**/*.docx',
-    '**/*.md',
-    '**/*.txt',
-    '**/*.html', '**/*.htm',
-    '**/*.csv', '**/*.tsv', '**/*.log', '**/*.jsonl',
-    '**/*.json', '**/*.yaml', '**/*.yml',
-    '**/*.ipynb',
-    '**/*.xlsx',
-    '**/*.epub',
-    '**/*.pptx',
-  ];
-  const files = await fg(patterns, { cwd: base, dot: false, onlyFiles: true, absolute: true });
-  return files;
+  const patterns = INDEXED_EXTS.map((ext) => `**/*${ext}`);
+  const skip = [`**/*${SIDECAR_SUFFIX}`, ...(CODE_INGEST ? ['**/node_modules/**'] : [])];
+  const files = await fg(patterns, { cwd: base, dot: false, onlyFiles: true, absolute: true, ignore: skip });
+  if (!CODE_INGEST) return files;
+  const ignored = await gitignoreMatcher(base);
+  return files.filter((f) => !ignored(path.relative(base, f).split(path.sep).join('/')));
+}
+
+// Normalised key for comparing source paths: files resolve to absolute paths, archive members
+// keep their "!/inner/path" suffix and URLs are left untouched
+export function sourceKey(p) {
+  const s = String(p || '');
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(s)) return s;
+  const [outer, ...inner] = s.split('!/');
+  return [path.resolve(outer), ...inner].join('!/');
 }
 
 export function chunkText(text, chunkSize = TXT_CHUNK_SIZE, overlap = TXT_CHUNK_OVERLAP) {
@@ -175,13 +401,271 @@ export function chunkText(text, chunkSize = TXT_CHUNK_SIZE, overlap = TXT_CHUNK_
   return chunks;
 }
 
-export async function embedTexts(texts, { onProgress } = {}) {
-  const extractor = await getEmbedder();
+// Formats loadTextFromFile returns as Markdown; they are chunked along headings
+const MARKDOWN_EXTS = new Set(['.md', '.html', '.htm', '.docx', '.ipynb', '.epub']);
+const TABLE_EXTS = new Set(['.csv', '.tsv', '.xlsx']);
+
+// Each sheet as rows of displayed cell values plus the spreadsheet row number of its first row;
+// CSV/TSV files are one unnamed sheet
+async function loadSheets(filePath, report = null) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext !== '.xlsx') {
+    const rows = parseDelimited(await fs.readFile(filePath, 'utf-8'), ext === '.tsv' ? '\t' : null);
+    return [{ name: null, rows, firstRow: 1, firstColumn: 0 }];
+  }
+  let wb;
+  try {
+    wb = xlsx.readFile(filePath, { cellDates: false });
+  } catch (e) {
+    fail(report, 'xlsx', filePath, e);
+    return [];
+  }
+  return (wb.SheetNames || []).filter((name) => wb.Sheets[name]?.['!ref']).map((name) => {
+    const ws = wb.Sheets[name];
+    const range = xlsx.utils.decode_range(ws['!ref']);
+    const rows = xlsx.utils.sheet_to_json(ws, { header: 1, raw: false, defval: '', blankrows: true });
+    return { name, rows, firstRow: range.s.r + 1, firstColumn: range.s.c };
+  });
+}
+
+// "D:20230115093000+01'00'" -> "2023-01-15T08:30:00.000Z"
+function pdfDate(value) {
+  const m = String(value || '').match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(Z|[+-]\d{2}'?\d{2}'?)?/);
+  if (!m) return null;
+  const [, y, mo = '01', d = '01', h = '00', mi = '00', sec = '00', tz] = m;
+  const zone = !tz || tz === 'Z' ? 'Z' : `${tz.slice(0, 3)}:${tz.replace(/'/g, '').slice(3, 5) || '00'}`;
+  const date = new Date(`${y}-${mo}-${d}T${h}:${mi}:${sec}${zone}`);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+const xmlText = (xml, tag) => {
+  const m = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+  if (!m) return null;
+  return m[1].replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&').trim() || null;
+};
+
+const isoDate = (value) => {
+  const d = new Date(value);
+  return value && !Number.isNaN(d.getTime()) ? d.toISOString() : null;
+};
+
+// Title, author and creation date from PDF info, Office core properties or EPUB metadata.
+// Returns null when the format has none; failures only cost the metadata, never the text.
+// PDFs pass the `info` extractPdfPages already read, so the file is not parsed twice.
+async function extractDocMeta(filePath, { pdfInfo = null } = {}) {
+  const ext = path.extname(filePath).toLowerCase();
+  let meta = null;
+  try {
+    if (ext === '.pdf') {
+      meta = { title: pdfInfo?.Title || null, author: pdfInfo?.Author || null, created: pdfDate(pdfInfo?.CreationDate) };
+    } else if (ext === '.docx' || ext === '.pptx' || ext === '.xlsx') {
+      const dir = await unzipper.Open.file(filePath);
+      const core = dir.files.find((f) => f.path === 'docProps/core.xml');
+      if (core) {
+        const xml = (await core.buffer()).toString('utf-8');
+        meta = { title: xmlText(xml, 'dc:title'), author: xmlText(xml, 'dc:creator'), created: isoDate(xmlText(xml, 'dcterms:created')) };
+      }
+    } else if (ext === '.epub') {
+      const { default: EPUB } = await import('epub');
+      const info = await new Promise((resolve, reject) => {
+        const epub = new EPUB(filePath);
+        epub.on('error', reject);
+        epub.on('end', () => resolve(epub.metadata || {}));
+        epub.parse();
+      });
+      meta = { title: info.title || null, author: info.creator || null, created: isoDate(info.date) };
+    }
+  } catch (e) {
+    console.warn(`[meta] ${path.basename(filePath)}: ${e.message || e}`);
+    return null;
+  }
+  if (!meta) return null;
+  const present = Object.fromEntries(Object.entries(meta).filter(([, v]) => v));
+  return Object.keys(present).length ? present : null;
+}
+
+// Chunks an in-memory member (archive entry, mail attachment) through a temp file. Only the
+// extension of its name reaches the filesystem; chunks are cited under `virtualPath`, and
+// paths of anything nested inside it are re-rooted there.
+// Problems inside a member are reported as warnings of the container, prefixed with the member name.
+async function chunkMember(tmpDir, virtualPath, data, containerPath, opts) {
+  const tmpPath = path.join(tmpDir, `member${fileExt(virtualPath)}`);
+  const report = newReport();
+  await fs.writeFile(tmpPath, data);
+  try {
+    return (await chunkFile(tmpPath, { ...opts, report })).map((piece) => ({
+      ...piece,
+      sourcePath: piece.sourcePath ? virtualPath + piece.sourcePath.slice(tmpPath.length) : virtualPath,
+      containerPath,
+    }));
+  } finally {
+    await fs.rm(tmpPath, { force: true });
+    const name = virtualPath.slice(containerPath.length + 2);
+    for (const message of [...report.warnings, ...(report.error ? [report.error] : [])]) opts.report?.warnings.push(`${name}: ${message}`);
+  }
+}
+
+// Archive members are extracted one at a time, chunked like loose files and
+// cited by their virtual path "bundle.zip!/specs/a.pdf"
+async function chunkArchive(archivePath, opts) {
+  const chunks = [];
+  const members = [];
+  let failed = 0;
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'birb-archive-'));
+  try {
+    const accept = (name) => INDEXED_EXTS.includes(fileExt(name));
+    for await (const { name, data } of archiveMembers(archivePath, { accept })) {
+      const sourcePath = `${archivePath}!/${name}`;
+      try {
+        chunks.push(...await chunkMember(tmpDir, sourcePath, data, archivePath, opts));
+        members.push(name);
+      } catch (e) {
+        failed += 1;
+        warn(opts.report, 'archive', `skipping ${name}: ${e.message || e}`, archivePath);
+      }
+    }
+  } catch (e) {
+    if (!members.length) fail(opts.report, 'archive', archivePath, e);
+    else warn(opts.report, 'archive', `${e.message || e}; indexed ${members.length} members before stopping`, archivePath);
+  } finally {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  }
+  // Nothing indexed because members failed is an error (retried next build), not an empty archive
+  if (!chunks.length && failed && !opts.report?.error) {
+    fail(opts.report, 'archive', archivePath, new Error(`none of ${failed} member${failed === 1 ? '' : 's'} could be read`));
+  }
+  return chunks;
+}
+
+// Every message is its own citeable unit: its chunks repeat the subject/sender/date header and
+// carry them as `meta`. Attachments of indexable types become child documents
+// ("thread.eml!/report.pdf", "box.mbox!/3.eml!/report.pdf") with the message's meta.
+async function chunkMail(filePath, opts) {
+  const chunks = [];
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'birb-mail-'));
+  try {
+    for (const { sourcePath, message } of await loadMailMessages(filePath)) {
+      const meta = { from: message.from, to: message.to, date: message.date, subject: message.subject };
+      const nested = sourcePath !== filePath ? { sourcePath, containerPath: filePath } : {};
+      const header = mailHeaderText(message);
+      const budget = Math.max(32, CHUNK_TOKEN_BUDGET - estimateTokens(header));
+      const body = chunkParagraphs(message.text, { budget });
+      for (const { text } of body.length ? body : [{ text: '' }]) {
+        const full = [header, text].filter(Boolean).join('\n\n');
+        if (full) chunks.push({ text: full, pageNumber: null, headingPath: null, meta, ...nested, tokenCount: estimateTokens(full) });
+      }
+      for (const att of message.attachments) {
+        // Only the base name of an attachment is kept; "../" and absolute paths never reach a citation
+        const name = safeMemberName(String(att.filename).replace(/\\/g, '/').split('/').pop());
+        if (!name || !INDEXED_EXTS.includes(fileExt(name))) continue;
+        const childPath = `${sourcePath}!/${name}`;
+        try {
+          for (const piece of await chunkMember(tmpDir, childPath, att.data, filePath, opts)) chunks.push({ ...piece, meta: piece.meta || meta });
+        } catch (e) {
+          warn(opts.report, 'mail', `skipping ${childPath.slice(filePath.length + 2)}: ${e.message || e}`, filePath);
+        }
+      }
+    }
+  } finally {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  }
+  return chunks;
+}
+
+// Crawled page (see webCrawler.js), cited by its URL; the page title doubles as document title
+async function chunkWebPage(url) {
+  const page = await loadWebPage(url);
+  if (!page?.text) return [];
+  const meta = page.title ? { title: page.title } : null;
+  return chunkMarkdown(page.text).filter((p) => p.text).map((p) => ({
+    text: p.text,
+    pageNumber: null,
+    headingPath: p.headingPath ?? null,
+    ...(meta ? { meta } : {}),
+    tokenCount: estimateTokens(p.text),
+  }));
+}
+
+// Ingest report of one file: which extractor read it, page count where the format has pages,
+// warnings (skipped members, failed OCR pages, fallbacks) and the error that stopped extraction
+const newReport = () => ({ extractor: null, pages: null, warnings: [], error: null });
+
+const EXTRACTORS = {
+  '.pdf': 'pdfjs', '.docx': 'mammoth', '.html': 'html', '.htm': 'html', '.xlsx': 'xlsx', '.csv': 'delimited', '.tsv': 'delimited',
+  '.epub': 'epub', '.pptx': 'pptx', '.json': 'json', '.yaml': 'yaml', '.yml': 'yaml', '.ipynb': 'ipynb', '.eml': 'mail', '.mbox': 'mail',
+};
+
+function extractorOf(filePath) {
+  if (isWebUrl(filePath)) return 'web';
+  if (isArchive(filePath)) return 'archive';
+  const ext = path.extname(filePath).toLowerCase();
+  if (CODE_EXTS.includes(ext)) return 'code';
+  if (IMAGE_EXTS.has(ext)) return 'ocr';
+  return EXTRACTORS[ext] || 'text';
+}
+
+// One file -> [{ text, pageNumber, pageEnd?, lineStart?, lineEnd?, headingPath, ocr?, tokenCount }], plus
+// { sourcePath, containerPath } for archive members and mailbox messages, and `meta`
+// ({ title, author, created } or the mail headers) where the format has any.
+// `ocr: false` skips OCR (used for cheap chunk-count estimates); `report` (see newReport) is filled in.
+export async function chunkFile(filePath, { ocr = OCR_ENABLED, report = null } = {}) {
+  if (report) report.extractor = extractorOf(filePath);
+  if (isWebUrl(filePath)) return chunkWebPage(filePath);
+  if (isArchive(filePath)) return chunkArchive(filePath, { ocr, report });
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.eml' || ext === '.mbox') return chunkMail(filePath, { ocr, report });
+  let pieces;
+  let pdfInfo = null;
+  if (ext === '.pdf') {
+    const pdf = await extractPdfPages(filePath, { ocr, report });
+    pdfInfo = pdf.info;
+    pieces = chunkPages(pdf.pages, { span: PDF_CHUNK_SPAN_PAGES });
+  } else if (ext === '.pptx') {
+    // One chunk per slide (more for a slide over the budget), cited by slide number; the title is its section
+    const slides = await readPptxSlides(filePath);
+    if (report) report.pages = slides.length;
+    pieces = chunkPages(slides.map((s) => ({ pageNumber: s.slideNumber, text: s.text })))
+      .map((p) => ({ ...p, headingPath: slides[p.pageNumber - 1].title }));
+  } else if (CODE_EXTS.includes(ext)) {
+    pieces = chunkCode(await fs.readFile(filePath, 'utf-8'), ext);
+  } else if (TABLE_EXTS.has(ext)) {
+    pieces = (await loadSheets(filePath, report)).flatMap((sheet) => chunkTable(sheet.rows, { sheet: sheet.name, firstRow: sheet.firstRow, firstColumn: sheet.firstColumn }));
+  } else if (IMAGE_EXTS.has(ext)) {
+    const text = ocr ? await loadTextFromFile(filePath, { report }) : '';
+    pieces = chunkParagraphs(text).map((p) => ({ ...p, ocr: true }));
+  } else {
+    const text = await loadTextFromFile(filePath, { report });
+    if (MARKDOWN_EXTS.has(ext)) pieces = chunkMarkdown(text);
+    else if (ext === '.txt') pieces = chunkParagraphs(text);
+    else pieces = chunkText(text).map((piece) => ({ text: piece, headingPath: null }));
+  }
+  const meta = await extractDocMeta(filePath, { pdfInfo });
+  return pieces
+    .filter((p) => p.text)
+    .map((p) => ({
+      text: p.text,
+      pageNumber: p.pageNumber ?? null,
+      // Only chunks that cross a page break carry an end page
+      ...(p.pageEnd && p.pageEnd !== p.pageNumber ? { pageEnd: p.pageEnd } : {}),
+      ...(p.lineStart ? { lineStart: p.lineStart, lineEnd: p.lineEnd } : {}),
+      ...(p.rowStart ? { ...(p.sheet ? { sheet: p.sheet } : {}), rowStart: p.rowStart, rowEnd: p.rowEnd } : {}),
+      headingPath: p.headingPath ?? null,
+      ...(p.ocr ? { ocr: true } : {}),
+      ...(meta ? { meta } : {}),
+      tokenCount: estimateTokens(p.text),
+    }));
+}
+
+// kind selects the query or passage prefix of the configured model
+export async function embedTexts(texts, { onProgress, kind = 'passage', config = null } = {}) {
+  const cfg = config || await getEmbeddingConfig();
+  const extractor = await getEmbedder(cfg.model);
+  const prefix = (kind === 'query' ? cfg.queryPrefix : cfg.passagePrefix) || '';
   const embeddings = [];
   const YIELD_EVERY_N = Number(process.env.EMBED_YIELD_EVERY_N || 5);
   for (let i = 0; i < texts.length; i++) {
-    const t = texts[i];
-    const out = await extractor(t, { pooling: 'mean', normalize: true });
+    const t = prefix + texts[i];
+    const out = await extractor(t, { pooling: cfg.pooling, normalize: true });
     embeddings.push(Array.from(out.data));
     if ((i + 1) % LOG_EVERY_N_ITEMS === 0) {
       console.log(`[embed] processed ${i + 1}/${texts.length}`);
@@ -199,17 +683,122 @@ export async function ensureDirs() {
   await fs.mkdir(INDEX_DIR, { recursive: true });
 }
 
+// In-memory copy of the last loaded/saved index, keyed by the meta file mtime so a
+// rebuild from another process (e.g. `npm run ingest`) is picked up on the next load.
+let cachedIndex = null; // { mtimeMs, index }
+
+async function writeFileAtomic(filePath, data) {
+  const tmp = `${filePath}.tmp`;
+  await fs.writeFile(tmp, data);
+  await fs.rename(tmp, filePath);
+}
+
+function attachVectors(meta, vectors, bm25, ann = null) {
+  const { dim } = meta;
+  const items = meta.items.map((it, i) => ({ ...it, vector: vectors.subarray(i * dim, (i + 1) * dim) }));
+  return { ...meta, items, vectors, bm25: bm25 || buildBm25(items.map((it) => it.text)), ann };
+}
+
+async function saveAnn(vectors, dim, count) {
+  if (count < ANN_MIN_ITEMS || !dim) {
+    await fs.rm(INDEX_IVF_PATH, { force: true });
+    await fs.rm(INDEX_CENTROIDS_PATH, { force: true });
+    return null;
+  }
+  const started = Date.now();
+  const ann = buildIvf(vectors, dim, { nlist: ANN_NLIST || undefined });
+  const { centroids, ...rest } = ann;
+  await writeFileAtomic(INDEX_CENTROIDS_PATH, Buffer.from(centroids.buffer, centroids.byteOffset, centroids.byteLength));
+  await writeFileAtomic(INDEX_IVF_PATH, JSON.stringify(rest));
+  console.log(`[index] built IVF index (${ann.nlist} lists) over ${count} items in ${Date.now() - started} ms`);
+  return ann;
+}
+
+async function readAnn(count, dim) {
+  try {
+    const ann = JSON.parse(await fs.readFile(INDEX_IVF_PATH, 'utf-8'));
+    if (ann.count !== count || ann.dim !== dim) return null;
+    const buf = await fs.readFile(INDEX_CENTROIDS_PATH);
+    ann.centroids = new Float32Array(new Uint8Array(buf).buffer);
+    return ann.centroids.length === ann.nlist * dim ? ann : null;
+  } catch {
+    return null;
+  }
+}
+
 export async function saveIndex(vectorIndex) {
   await ensureDirs();
-  await fs.writeFile(INDEX_PATH, JSON.stringify(vectorIndex, null, 2), 'utf-8');
+  const { items, vectors: _vectors, bm25: _bm25, ann: _ann, ...header } = vectorIndex;
+  const dim = header.dim;
+  const vectors = new Float32Array(items.length * dim);
+  const metaItems = items.map(({ vector, ...rest }, i) => {
+    if (vector) vectors.set(vector, i * dim);
+    return rest;
+  });
+  const meta = { version: 2, ...header, count: items.length, items: metaItems };
+  const bm25 = buildBm25(metaItems.map((it) => it.text));
+  await writeFileAtomic(INDEX_VECTORS_PATH, Buffer.from(vectors.buffer, vectors.byteOffset, vectors.byteLength));
+  await writeFileAtomic(INDEX_BM25_PATH, JSON.stringify(bm25));
+  const ann = await saveAnn(vectors, dim, items.length);
+  // Meta goes last: it is the commit marker readers key their cache on
+  await writeFileAtomic(INDEX_META_PATH, JSON.stringify(meta));
+  const st = await fs.stat(INDEX_META_PATH);
+  cachedIndex = { mtimeMs: st.mtimeMs, index: attachVectors(meta, vectors, bm25, ann) };
+}
+
+async function readVectors(count, dim) {
+  const buf = await fs.readFile(INDEX_VECTORS_PATH);
+  if (buf.byteLength !== count * dim * 4) {
+    throw new Error(`Vector file size ${buf.byteLength} does not match ${count}x${dim} index; rebuild the index`);
+  }
+  if (buf.byteOffset % 4 === 0) return new Float32Array(buf.buffer, buf.byteOffset, buf.byteLength / 4);
+  return new Float32Array(new Uint8Array(buf).buffer);
+}
+
+async function readBm25(count) {
+  try {
+    const bm25 = JSON.parse(await fs.readFile(INDEX_BM25_PATH, 'utf-8'));
+    return bm25.count === count ? bm25 : null;
+  } catch {
+    return null;
+  }
+}
+
+// Convert a pre-binary `index.json` into the split format once, keeping the original as `.bak`
+async function migrateLegacyIndex() {
+  let legacy;
+  try {
+    legacy = JSON.parse(await fs.readFile(LEGACY_INDEX_PATH, 'utf-8'));
+  } catch {
+    return null;
+  }
+  const items = Array.isArray(legacy.items) ? legacy.items : [];
+  const dim = legacy.dim || items[0]?.vector?.length || 0;
+  await saveIndex({ ...legacy, dim, items });
+  await fs.rename(LEGACY_INDEX_PATH, `${LEGACY_INDEX_PATH}.bak`).catch(() => {});
+  console.log(`[index] migrated ${items.length} items from ${LEGACY_INDEX_PATH} to binary store`);
+  return cachedIndex.index;
 }
 
 export async function loadIndex() {
+  let st;
   try {
-    const raw = await fs.readFile(INDEX_PATH, 'utf-8');
-    return JSON.parse(raw);
+    st = await fs.stat(INDEX_META_PATH);
   } catch {
-    return { dim: 384, items: [] };
+    return (await migrateLegacyIndex()) || { dim: 0, model: null, items: [] };
+  }
+  if (cachedIndex && cachedIndex.mtimeMs === st.mtimeMs) return cachedIndex.index;
+  try {
+    const meta = JSON.parse(await fs.readFile(INDEX_META_PATH, 'utf-8'));
+    const vectors = await readVectors(meta.items.length, meta.dim);
+    // Indexes saved before BM25 existed get their lexical index rebuilt in memory
+    const bm25 = await readBm25(meta.items.length);
+    const ann = await readAnn(meta.items.length, meta.dim);
+    cachedIndex = { mtimeMs: st.mtimeMs, index: attachVectors(meta, vectors, bm25, ann) };
+    return cachedIndex.index;
+  } catch (e) {
+    console.warn(`[index] failed to load ${INDEX_META_PATH}: ${e.message || e}`);
+    return { dim: 0, model: null, items: [] };
   }
 }
 
@@ -224,70 +813,163 @@ export function cosineSimilarity(a, b) {
   return dot / (Math.sqrt(na) * Math.sqrt(nb));
 }
 
-export async function searchIndex(query, k = 6, allowedSourcePaths = null) {
+async function resolveLexicalWeight(override) {
+  let weight = override;
+  if (weight === undefined || weight === null) {
+    const s = await loadSettings().catch(() => ({}));
+    weight = s.retrieval?.lexicalWeight ?? DEFAULT_LEXICAL_WEIGHT;
+  }
+  weight = Number(weight);
+  return Number.isFinite(weight) ? Math.min(1, Math.max(0, weight)) : DEFAULT_LEXICAL_WEIGHT;
+}
+
+// Values a filter expression sees for one item: extracted metadata, the sidecar metadata of its
+// file (which wins), and derived fields (tag, year, type, name, path, page, sheet)
+function filterFields(item, files) {
+  const own = item.meta || {};
+  const fields = {};
+  for (const [key, value] of Object.entries({ ...own, ...(files?.[item.containerPath || item.sourcePath]?.userMeta || {}) })) {
+    fields[key.toLowerCase()] = value;
+  }
+  // Mail headers answer the same questions as document properties
+  fields.title ??= own.subject ?? null;
+  fields.author ??= own.from ?? null;
+  fields.created ??= own.date ?? null;
+  const tags = [].concat(fields.tags ?? [], fields.tag ?? []).map(String);
+  fields.tags = tags;
+  fields.tag = tags;
+  fields.year ??= /^\d{4}/.test(String(fields.created || '')) ? Number(String(fields.created).slice(0, 4)) : null;
+  fields.type = isWebUrl(item.sourcePath) ? 'web' : fileExt(item.sourcePath.split('!/').pop()).slice(1);
+  fields.name = path.basename(item.sourcePath.split('!/').pop());
+  fields.path = item.sourcePath;
+  fields.page = item.pageNumber ?? null;
+  fields.sheet = item.sheet ?? null;
+  return fields;
+}
+
+// Filter expression (see metadataFilter.js) -> predicate over index items, or null when empty
+export function compileItemFilter(expr, index) {
+  const predicate = compileFilter(expr);
+  return predicate ? (item) => predicate(filterFields(item, index.files)) : null;
+}
+
+// Hybrid retrieval: embedding and BM25 rankings merged with weighted reciprocal rank fusion.
+// Each result carries the fused `score` plus the raw `vectorScore` and `lexicalScore`, and
+// `duplicates` (other items with the same text) when its chunk has near-duplicates.
+// `filter` is a metadata expression such as "tag:legal AND year>=2023", applied with the selection
+export async function searchIndex(query, k = 6, allowedSourcePaths = null, { lexicalWeight, filter = null } = {}) {
   const index = await loadIndex();
   if (!index.items.length) return [];
-  const [qvec] = await embedTexts([query]);
-  const allow = Array.isArray(allowedSourcePaths) && allowedSourcePaths.length
-    ? new Set(allowedSourcePaths.map((p) => path.resolve(p)))
+  const mismatch = await checkIndexModel(index);
+  if (mismatch) {
+    const err = new Error(mismatch);
+    err.code = 'INDEX_MODEL_MISMATCH';
+    throw err;
+  }
+  const weight = await resolveLexicalWeight(lexicalWeight);
+  const matches = compileItemFilter(filter, index);
+  const selected = Array.isArray(allowedSourcePaths) && allowedSourcePaths.length
+    ? new Set(allowedSourcePaths.map(sourceKey))
     : null;
-  const candidates = allow
-    ? index.items.filter((it) => allow.has(path.resolve(it.sourcePath)))
-    : index.items;
+  const allow = selected || matches;
+  const candidates = [];
+  for (let i = 0; i < index.items.length; i++) {
+    const it = index.items[i];
+    // Selecting an archive selects every member in it
+    if (selected && !selected.has(sourceKey(it.sourcePath)) && !(it.containerPath && selected.has(sourceKey(it.containerPath)))) continue;
+    if (matches && !matches(it)) continue;
+    candidates.push(i);
+  }
   if (!candidates.length) return [];
-  const scored = candidates.map((item) => ({ item, score: cosineSimilarity(qvec, item.vector) }));
-  scored.sort((a, b) => b.score - a.score);
-  return scored.slice(0, Math.min(k, scored.length));
+  const eligible = allow ? new Set(candidates) : null;
+
+  const vectorScores = new Map();
+  if (weight < 1) {
+    const [qvec] = await embedTexts([query], { kind: 'query' });
+    if (index.ann && candidates.length >= ANN_MIN_ITEMS) {
+      // Large corpus: probe the IVF lists; the filter keeps selectedDocs restrictions intact
+      const hits = searchIvf(index.ann, index.vectors, qvec, {
+        nprobe: ANN_NPROBE,
+        limit: Math.max(k, ANN_CANDIDATES),
+        filter: eligible ? (i) => eligible.has(i) : null,
+      });
+      for (const { index: i, score } of hits) vectorScores.set(i, score);
+    } else {
+      for (const i of candidates) vectorScores.set(i, cosineSimilarity(qvec, index.items[i].vector));
+    }
+  }
+  const lexicalScores = weight > 0
+    ? scoreBm25(index.bm25, query, { allow: eligible })
+    : new Map();
+
+  const fused = new Map();
+  const addRanks = (scores, w) => {
+    if (w <= 0) return;
+    const ranked = Array.from(scores.entries()).sort((a, b) => b[1] - a[1]);
+    ranked.forEach(([i], rank) => fused.set(i, (fused.get(i) || 0) + w / (HYBRID_RRF_K + rank + 1)));
+  };
+  addRanks(vectorScores, 1 - weight);
+  addRanks(lexicalScores, weight);
+
+  const ranked = Array.from(fused.entries()).sort((a, b) => b[1] - a[1]);
+  // One result per near-duplicate group, ranked by its best-scoring copy: the canonical item when
+  // the selection allows it, else that copy. The others the selection allows come along as `duplicates`.
+  const results = [];
+  const seenGroups = new Set();
+  for (const [best, score] of ranked) {
+    if (results.length >= k) break;
+    const group = index.items[best].dupOf ?? best;
+    if (seenGroups.has(group)) continue;
+    seenGroups.add(group);
+    const i = fused.has(group) ? group : best;
+    const item = index.items[i];
+    const canonical = index.items[group];
+    const duplicates = [canonical.chunkId, ...(canonical.duplicates || [])]
+      .filter((id) => id !== item.chunkId && index.items[id] && (!eligible || eligible.has(id)))
+      .map((id) => index.items[id]);
+    results.push({
+      item,
+      score,
+      vectorScore: vectorScores.get(i) ?? null,
+      lexicalScore: lexicalScores.get(i) ?? 0,
+      ...(duplicates.length ? { duplicates } : {}),
+    });
+  }
+  return results;
 }
 
-export async function buildCorpusChunks(docDir = 'docs', { onProgress } = {}) {
-  const files = await listDocFiles(docDir);
+// A file that cannot be read no longer stops the build: it gets no chunks and its ingest report
+// (`reports[filePath]`, when given) says why. status is 'error' (nothing could be read), 'empty'
+// (read, but no text), 'warning' (indexed with warnings or a partial failure) or 'ok'.
+export async function buildCorpusChunks(docDir = 'docs', { onProgress, files: only, reports = null } = {}) {
+  const files = only || await listDocFiles(docDir);
   const chunks = [];
   let chunkId = 0;
   const YIELD_EVERY_N = Number(process.env.BUILD_YIELD_EVERY_N || 50);
   for (const filePath of files) {
-    const ext = path.extname(filePath).toLowerCase();
-    if (ext === '.pdf') {
-      const pages = await extractPdfPages(filePath);
-      for (const { pageNumber, text } of pages) {
-        // exactly one chunk per page
-        if (!text) continue;
-        chunks.push({
-          text,
-          sourcePath: filePath,
-          pageNumber,
-          chunkId,
-          tokenCount: text.split(/\s+/).length,
-        });
-        chunkId += 1;
-        if (chunkId % LOG_EVERY_N_ITEMS === 0) {
-          console.log(`[build] chunks so far: ${chunkId}`);
-        }
-        onProgress?.({ processed: chunkId });
-        if (YIELD_EVERY_N > 0 && chunkId % YIELD_EVERY_N === 0) {
-          await new Promise((r) => setTimeout(r, 0));
-        }
+    const report = newReport();
+    let pieces = [];
+    try {
+      pieces = await chunkFile(filePath, { report });
+    } catch (e) {
+      fail(report, report.extractor || 'build', filePath, e);
+    }
+    if (reports) {
+      const { error, warnings } = report;
+      const status = pieces.length ? (error || warnings.length ? 'warning' : 'ok') : (error ? 'error' : 'empty');
+      reports[filePath] = { status, ...report, chunks: pieces.length, indexedAt: new Date().toISOString() };
+    }
+    for (const piece of pieces) {
+      // Fingerprint for near-duplicate grouping across files (see markDuplicates)
+      const fingerprint = DEDUP_ENABLED ? { minhash: minhash(piece.text) } : {};
+      chunks.push({ sourcePath: filePath, ...piece, ...fingerprint, chunkId });
+      chunkId += 1;
+      if (chunkId % LOG_EVERY_N_ITEMS === 0) {
+        console.log(`[build] chunks so far: ${chunkId}`);
       }
-    } else {
-      const text = await loadTextFromFile(filePath);
-      const pieces = chunkText(text);
-      for (const piece of pieces) {
-        if (!piece) continue;
-        chunks.push({
-          text: piece,
-          sourcePath: filePath,
-          pageNumber: null,
-          chunkId,
-          tokenCount: piece.split(/\s+/).length,
-        });
-        chunkId += 1;
-        if (chunkId % LOG_EVERY_N_ITEMS === 0) {
-          console.log(`[build] chunks so far: ${chunkId}`);
-        }
-        onProgress?.({ processed: chunkId });
-        if (YIELD_EVERY_N > 0 && chunkId % YIELD_EVERY_N === 0) {
-          await new Promise((r) => setTimeout(r, 0));
-        }
+      onProgress?.({ processed: chunkId });
+      if (YIELD_EVERY_N > 0 && chunkId % YIELD_EVERY_N === 0) {
+        await new Promise((r) => setTimeout(r, 0));
       }
     }
   }
@@ -295,39 +977,239 @@ export async function buildCorpusChunks(docDir = 'docs', { onProgress } = {}) {
   return chunks;
 }
 
-export async function estimateCorpusChunks(docDir = 'docs') {
-  const files = await listDocFiles(docDir);
+export async function estimateCorpusChunks(docDir = 'docs', { files: only } = {}) {
+  const files = only || await listDocFiles(docDir);
   let total = 0;
   for (const filePath of files) {
-    const ext = path.extname(filePath).toLowerCase();
-    if (ext === '.pdf') {
-      const pages = await extractPdfPages(filePath);
-      total += pages.length;
-    } else {
-      const text = await loadTextFromFile(filePath);
-      total += chunkText(text).length;
-    }
+    // OCR is too slow to run twice; scanned pages are simply not counted. Unreadable files
+    // count as nothing here and are reported by buildCorpusChunks.
+    try { total += (await chunkFile(filePath, { ocr: false })).length; } catch {}
   }
   return total;
 }
 
-export async function buildAndSaveIndex(docDir = 'docs') {
-  const chunks = await buildCorpusChunks(docDir);
+// Sidecar metadata is kept in the manifest (not on items), so editing tags never re-embeds anything
+async function withSidecar(filePath, entry) {
+  const { userMeta: _userMeta, sidecarMtimeMs, ...rest } = entry;
+  const sidecar = `${filePath}${SIDECAR_SUFFIX}`;
+  let st;
+  try { st = await fs.stat(sidecar); } catch { return rest; }
+  if (sidecarMtimeMs === st.mtimeMs) return entry;
+  try {
+    const data = JSON.parse(await fs.readFile(sidecar, 'utf-8'));
+    if (data && typeof data === 'object' && !Array.isArray(data)) return { ...rest, userMeta: data, sidecarMtimeMs: st.mtimeMs };
+    console.warn(`[meta] ${path.basename(sidecar)} must hold a JSON object`);
+  } catch (e) {
+    console.warn(`[meta] ignoring ${path.basename(sidecar)}: ${e.message || e}`);
+  }
+  return { ...rest, sidecarMtimeMs: st.mtimeMs };
+}
+
+async function hashFile(filePath) {
+  const data = await fs.readFile(filePath);
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Compare files on disk with the manifest stored in the index.
+// mtime+size short-circuits hashing; a changed mtime with identical content is not re-indexed.
+// With `paths` (e.g. from the watcher) only those known files are re-checked; new and removed
+// files are still picked up from the listing. Files in `retry` (last read failed) count as changed.
+export async function planIndexUpdate(docDir = 'docs', index = null, { paths = null, retry = null } = {}) {
+  const prev = index || await loadIndex();
+  const known = prev.files || {};
+  const files = await listDocFiles(docDir);
+  // A changed sidecar counts as a touch of its document
+  const touched = paths ? new Set(paths.map((p) => (isWebUrl(p) ? p : path.resolve(p).replace(/\.meta\.json$/, '')))) : null;
+  const manifest = {};
+  const added = [];
+  const changed = [];
+  const unchanged = [];
+  for (const filePath of files) {
+    if (touched && known[filePath] && !touched.has(filePath) && !retry?.has(filePath)) {
+      manifest[filePath] = known[filePath];
+      unchanged.push(filePath);
+      continue;
+    }
+    let st;
+    try { st = await fs.stat(filePath); } catch { continue; }
+    const entry = known[filePath];
+    if (entry && retry?.has(filePath)) {
+      manifest[filePath] = await withSidecar(filePath, { hash: await hashFile(filePath), mtimeMs: st.mtimeMs, size: st.size });
+      changed.push(filePath);
+      continue;
+    }
+    if (entry && entry.mtimeMs === st.mtimeMs && entry.size === st.size) {
+      manifest[filePath] = await withSidecar(filePath, entry);
+      unchanged.push(filePath);
+      continue;
+    }
+    const hash = await hashFile(filePath);
+    manifest[filePath] = await withSidecar(filePath, { hash, mtimeMs: st.mtimeMs, size: st.size });
+    if (!entry) added.push(filePath);
+    else if (entry.hash !== hash) changed.push(filePath);
+    else unchanged.push(filePath);
+  }
+  // Crawled pages are keyed by URL; the page store already knows their content hash
+  for (const page of await listWebPages()) {
+    const entry = known[page.url];
+    manifest[page.url] = { hash: page.hash, mtimeMs: page.mtimeMs, size: page.size };
+    if (!entry) added.push(page.url);
+    else if (entry.hash !== page.hash) changed.push(page.url);
+    else unchanged.push(page.url);
+  }
+  const removed = Object.keys(known).filter((p) => !manifest[p]);
+  return { files: manifest, added, changed, unchanged, removed };
+}
+
+// Near-duplicate chunks (revisions of one policy, boilerplate shared by many files) are grouped over
+// the whole index, not just the files being rebuilt. The canonical item comes from the most recently
+// modified file and lists the others by chunk id in `duplicates`; each of them points back with
+// `dupOf`. Every item stays in the index so an incremental rebuild can still drop any one file, and
+// search returns one result per group. Files whose chunks mostly reappear in another file get a
+// `duplicates` list ({ path, overlap }) in the manifest.
+function markDuplicates(items, files, fileOf) {
+  const plain = items.map(({ dupOf: _dupOf, duplicates: _duplicates, ...it }) => it);
+  for (const [file, { duplicates: _duplicates, ...entry }] of Object.entries(files)) files[file] = entry;
+  if (!DEDUP_ENABLED || plain.length < 2) return plain;
+  // Items from indexes built before fingerprints existed
+  for (const it of plain) it.minhash ??= minhash(it.text);
+  const mtime = (i) => files[fileOf(plain[i])]?.mtimeMs || 0;
+  const canonical = groupDuplicates(plain, { compare: (i, j) => (mtime(j) - mtime(i)) || (i - j) });
+  const members = new Map();
+  canonical.forEach((c, i) => {
+    if (c === i) return;
+    plain[i].dupOf = plain[c].chunkId;
+    if (!members.has(c)) members.set(c, []);
+    members.get(c).push(i);
+  });
+  for (const [c, list] of members) plain[c].duplicates = list.map((i) => plain[i].chunkId);
+
+  const totals = new Map();
+  const shared = new Map(); // file -> Map(other file -> chunks with a copy there)
+  plain.forEach((it, i) => {
+    const file = fileOf(it);
+    totals.set(file, (totals.get(file) || 0) + 1);
+    const c = canonical[i];
+    if (!members.has(c)) return;
+    const others = new Set([c, ...members.get(c)].map((j) => fileOf(plain[j])));
+    others.delete(file);
+    if (!shared.has(file)) shared.set(file, new Map());
+    for (const other of others) shared.get(file).set(other, (shared.get(file).get(other) || 0) + 1);
+  });
+  for (const [file, counts] of shared) {
+    if (!files[file]) continue;
+    const duplicates = [...counts]
+      .map(([other, n]) => ({ path: other, overlap: Math.round((n / totals.get(file)) * 100) / 100 }))
+      .filter((d) => d.overlap >= DEDUP_DOC_RATIO)
+      .sort((a, b) => b.overlap - a.overlap);
+    if (duplicates.length) files[file] = { ...files[file], duplicates };
+  }
+  return plain;
+}
+
+// Re-chunks and re-embeds only added/changed files unless `full` is set; `paths` limits the
+// change check to those files (see planIndexUpdate).
+// onProgress receives { stage: 'scanning'|'chunking'|'embedding', processed, total }.
+export async function buildAndSaveIndex(docDir = 'docs', { full = false, paths = null, onProgress } = {}) {
+  onProgress?.({ stage: 'scanning', processed: 0, total: 0 });
+  const embedding = await getEmbeddingConfig();
+  let prev = full ? { dim: 0, items: [], files: {} } : await loadIndex();
+  if (!full && prev.items.length && !sameEmbedding(indexEmbedding(prev), embedding)) {
+    console.log(`[index] embedding model changed to ${embedding.model}; re-embedding all files`);
+    prev = { dim: 0, items: [], files: {} };
+  }
+  const chunking = { version: CHUNKING_VERSION, budget: CHUNK_TOKEN_BUDGET, pdfSpanPages: PDF_CHUNK_SPAN_PAGES, pdfLayout: PDF_LAYOUT, ocr: OCR_ENABLED };
+  if (!full && prev.items.length && JSON.stringify(prev.chunking || null) !== JSON.stringify(chunking)) {
+    console.log('[index] chunking settings changed; re-chunking all files');
+    prev = { dim: 0, items: [], files: {} };
+  }
+  // A manifest, not chunks, says there was a previous build: a corpus of unreadable files has none
+  const prevReports = Object.keys(prev.files || {}).length ? await loadIngestReport() : {};
+  const retry = new Set(Object.keys(prevReports).filter((p) => prevReports[p].status === 'error'));
+  const plan = await planIndexUpdate(docDir, prev, { paths: prev.items.length ? paths : null, retry });
+  const pending = [...plan.added, ...plan.changed];
+  const keep = new Set(plan.unchanged);
+  // Manifest entries are files on disk; archive members belong to their container
+  const fileOf = (it) => it.containerPath || it.sourcePath;
+  const kept = (prev.items || []).filter((it) => keep.has(fileOf(it)));
+
+  let estimate = 0;
+  try { estimate = pending.length ? await estimateCorpusChunks(docDir, { files: pending }) : 0; } catch {}
+  onProgress?.({ stage: 'chunking', processed: 0, total: estimate });
+  // Reports of unchanged files carry over; those of removed files are dropped
+  const reports = Object.fromEntries(plan.unchanged.filter((p) => prevReports[p]).map((p) => [p, prevReports[p]]));
+  let chunks;
+  try {
+    chunks = pending.length
+      ? await buildCorpusChunks(docDir, {
+        files: pending,
+        reports,
+        onProgress: ({ processed }) => onProgress?.({ stage: 'chunking', processed, total: estimate }),
+      })
+      : [];
+  } finally {
+    await terminateOcr();
+  }
+  // Remember which pages came from OCR so the document list can flag approximate citations
+  for (const filePath of pending) {
+    const own = chunks.filter((c) => fileOf(c) === filePath);
+    const ocrPages = [...new Set(own.filter((c) => c.ocr && !c.containerPath).map((c) => c.pageNumber ?? 1))];
+    if (ocrPages.length) plan.files[filePath] = { ...plan.files[filePath], ocrPages };
+    // Archive entries list the members that produced chunks
+    if (isArchive(filePath) && !isWebUrl(filePath)) {
+      const members = [...new Set(own.map((c) => c.sourcePath.slice(filePath.length + 2)))];
+      plan.files[filePath] = { ...plan.files[filePath], members };
+    }
+  }
+
+  onProgress?.({ stage: 'embedding', processed: 0, total: chunks.length });
   const texts = chunks.map((c) => c.text);
-  const embeddings = texts.length ? await embedTexts(texts) : [];
-  const dim = embeddings.length ? embeddings[0].length : 384;
-  const items = chunks.map((c, i) => ({
-    vector: embeddings[i] ?? new Array(dim).fill(0),
-    text: c.text,
-    sourcePath: c.sourcePath,
-    pageNumber: c.pageNumber,
-    chunkId: c.chunkId,
-    tokenCount: c.tokenCount,
-  }));
-  const index = { dim, items };
+  const embeddings = texts.length
+    ? await embedTexts(texts, {
+      config: embedding,
+      onProgress: ({ processed }) => onProgress?.({ stage: 'embedding', processed, total: chunks.length }),
+    })
+    : [];
+  const dim = embeddings.length ? embeddings[0].length : (prev.dim || 0);
+  const fresh = chunks.map((c, i) => ({ vector: embeddings[i] ?? new Array(dim).fill(0), ...c }));
+
+  // Keep items grouped in listing order so chunk ids stay stable across runs
+  const order = new Map(Object.keys(plan.files).map((p, i) => [p, i]));
+  const ordered = [...kept, ...fresh]
+    .map((it, i) => ({ it, i }))
+    .sort((a, b) => (order.get(fileOf(a.it)) - order.get(fileOf(b.it))) || (a.i - b.i))
+    .map(({ it }, i) => ({ ...it, chunkId: i }));
+  const items = markDuplicates(ordered, plan.files, fileOf);
+
+  const { queryPrefix: _queryPrefix, ...stamp } = embedding;
+  const index = { dim, model: embedding.model, embedding: stamp, chunking, items, files: plan.files };
   await saveIndex(index);
-  console.log(`[index] saved ${items.length} items to ${INDEX_PATH}`);
-  return index;
+  await writeFileAtomic(INDEX_REPORT_PATH, JSON.stringify(reports));
+  const failed = pending.filter((p) => reports[p]?.status === 'error');
+  if (failed.length) console.warn(`[index] ${failed.length} file(s) could not be read: ${failed.map((p) => path.basename(p)).join(', ')}`);
+  console.log(`[index] saved ${items.length} items to ${INDEX_META_PATH} (added ${plan.added.length}, changed ${plan.changed.length}, removed ${plan.removed.length}, unchanged ${plan.unchanged.length})`);
+  return {
+    ...index,
+    stats: {
+      added: plan.added.length,
+      changed: plan.changed.length,
+      removed: plan.removed.length,
+      unchanged: plan.unchanged.length,
+      embedded: fresh.length,
+      failed: failed.length,
+      empty: pending.filter((p) => reports[p]?.status === 'empty').length,
+    },
+    reports,
+  };
+}
+
+// filePath -> ingest report of its last build (see buildCorpusChunks); {} before the first build
+export async function loadIngestReport() {
+  try {
+    return JSON.parse(await fs.readFile(INDEX_REPORT_PATH, 'utf-8'));
+  } catch {
+    return {};
+  }
 }
 
 async function extractEpubText(filePath) {
@@ -344,7 +1226,7 @@ async function extractEpubText(filePath) {
         for (const it of items) {
           epub.getChapterRaw(it.id, (err, html) => {
             if (!err && html) {
-              const txt = htmlToText(html, { wordwrap: false, selectors: [{ selector: 'a', options: { ignoreHref: true } }] });
+              const txt = htmlToMarkdown(html);
               parts.push(txt.trim());
             }
             done += 1;
@@ -358,29 +1240,3 @@ async function extractEpubText(filePath) {
     }
   });
 }
-
-async function extractPptxText(filePath) {
-  const dir = await unzipper.Open.file(filePath);
-  const slideFiles = dir.files
-    .filter((f) => /^ppt\/slides\/slide\d+\.xml$/i.test(f.path))
-    .sort((a, b) => {
-      const na = Number((a.path.match(/slide(\d+)\.xml/i) || [])[1] || 0);
-      const nb = Number((b.path.match(/slide(\d+)\.xml/i) || [])[1] || 0);
-      return na - nb;
-    });
-  const slides = [];
-  for (let i = 0; i < slideFiles.length; i++) {
-    const entry = slideFiles[i];
-    const buf = await entry.buffer();
-    const xml = buf.toString('utf-8');
-    const texts = [];
-    const re = /<a:t>([\s\S]*?)<\/a:t>/g;
-    let m;
-    while ((m = re.exec(xml)) !== null) {
-      texts.push(m[1]);
-    }
-    const slideText = texts.join(' ').replace(/[\s\u00A0]+/g, ' ').trim();
-    if (slideText) slides.push(`Slide ${i + 1}:\n${slideText}`);
-  }
-  return slides.join('\n\n');
-}
@@ -3,11 +3,16 @@ import express from 'express';
 import cors from 'cors';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
-// Use runtime-switchable adapter (instead of env-cached llmClient)
-import { llmChatComplete as chatComplete, llmChatCompleteStream as chatCompleteStream, getRuntimeProviderInfo as getProviderInfo } from './llmAdapter.js';
+// Settings-driven provider profiles with failover (see llmAdapter.js and llmProviders.js)
+import { llmChatComplete as chatComplete, llmChatCompleteStream as chatCompleteStream, getRuntimeProviderInfo as getProviderInfo, listProfiles, checkProvider, listAllModels, pullProviderModel, providerHealth, PROFILE_TYPES } from './llmAdapter.js';
 import { loadSettings, saveSettings } from './settings.js';
 import fs from 'node:fs/promises';
-import { searchIndex, buildAndSaveIndex, loadIndex, listDocFiles, estimateCorpusChunks, buildCorpusChunks, embedTexts, saveIndex } from './retriever.js';
+import { rerankResults, DEFAULT_RERANK_MODEL } from './reranker.js';
+import { searchIndex, buildAndSaveIndex, loadIndex, listDocFiles, getEmbeddingConfig, checkIndexModel, compileItemFilter, loadIngestReport, DEFAULT_EMBEDDING_MODEL, INDEXED_EXTS, SIDECAR_SUFFIX } from './retriever.js';
+import { compileFilter } from './metadataFilter.js';
+import { fileExt } from './archives.js';
+import { watchDocs } from './docWatcher.js';
+import { addWebSource, crawlWebSource, dueWebSources, isWebUrl, listWebSources, removeWebSource } from './webCrawler.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -24,10 +29,60 @@ const publicDir = path.resolve(__dirname, '../public');
 app.use(express.static(publicDir));
 
 // Settings Management
+// Profile and provider API keys stay on the server; the UI only learns whether one is set
+const HOSTED_BLOCKS = ['openai', 'anthropic', 'gemini'];
+const mask = ({ apiKey, ...p } = {}) => ({ ...p, hasApiKey: !!apiKey });
+function publicSettings(s) {
+  const out = { ...s, profiles: (s.profiles || []).map(mask) };
+  for (const key of ['groq', ...HOSTED_BLOCKS]) out[key] = mask(s[key]);
+  return out;
+}
+
+// Custom provider profiles from the settings page -> [error message, normalised list]
+function parseProfiles(list) {
+  if (!Array.isArray(list)) return ['profiles must be an array', null];
+  const seen = new Set(['groq', 'ollama', ...HOSTED_BLOCKS]);
+  const out = [];
+  for (const p of list) {
+    const id = String(p?.id || '').trim();
+    if (!/^[a-z0-9][a-z0-9_-]{0,39}$/.test(id)) return [`Invalid profile id "${id}" (lowercase letters, digits, - and _)`, null];
+    if (seen.has(id)) return [`Duplicate or reserved profile id: ${id}`, null];
+    seen.add(id);
+    if (!PROFILE_TYPES.includes(p.type)) return [`Profile ${id}: type must be one of ${PROFILE_TYPES.join(', ')}`, null];
+    // Only OpenAI-compatible servers need a URL; hosted APIs default to their public endpoint
+    const baseUrl = String(p.baseUrl || '').trim();
+    if ((p.type === 'openai-compatible' || baseUrl) && p.type !== 'groq' && !/^https?:\/\//i.test(baseUrl)) return [`Profile ${id}: invalid base URL`, null];
+    const model = String(p.model || '').trim();
+    if (!model) return [`Profile ${id}: model is required`, null];
+    const profile = { id, name: String(p.name || '').trim() || id, type: p.type, model };
+    if (p.type !== 'groq' && baseUrl) profile.baseUrl = baseUrl;
+    if (p.apiKey) profile.apiKey = String(p.apiKey).trim();
+    if (p.temperature != null && p.temperature !== '') {
+      const t = Number(p.temperature);
+      if (!Number.isFinite(t) || t < 0 || t > 2) return [`Profile ${id}: temperature must be between 0 and 2`, null];
+      profile.temperature = t;
+    }
+    if (p.maxTokens != null && p.maxTokens !== '') {
+      const n = Number(p.maxTokens);
+      if (!Number.isInteger(n) || n < 1 || n > 200000) return [`Profile ${id}: maxTokens must be a positive integer`, null];
+      profile.maxTokens = n;
+    }
+    out.push(profile);
+  }
+  return [null, out];
+}
+
+// Optional per-request profile id -> error message when it names no profile
+async function profileError(id) {
+  if (id == null || id === '') return null;
+  const { profiles } = await listProfiles();
+  return profiles.some((p) => p.id === id) ? null : `Unknown provider profile: ${id}`;
+}
+
 app.get('/api/settings', async (req, res) => {
   try {
     const s = await loadSettings();
-    res.json({ success: true, data: s });
+    res.json({ success: true, data: publicSettings(s) });
   } catch (e) {
     res.status(500).json({ success: false, error: String(e) });
   }
@@ -36,99 +91,190 @@ app.get('/api/settings', async (req, res) => {
 app.post('/api/settings', async (req, res) => {
   try {
     const body = req.body || {};
+    if (body.profiles !== undefined) {
+      const [error, profiles] = parseProfiles(body.profiles);
+      if (error) return res.status(400).json({ success: false, error });
+      body.profiles = profiles;
+    }
     const provider = String(body.aiProvider || '').toLowerCase();
-    if (provider && !['groq', 'ollama'].includes(provider)) {
+    const known = ['groq', 'ollama', ...HOSTED_BLOCKS, ...(body.profiles || (await loadSettings()).profiles || []).map((p) => p.id)];
+    if (provider && !known.includes(provider)) {
       return res.status(400).json({ success: false, error: 'Invalid aiProvider' });
     }
+    if (provider) body.aiProvider = provider;
+    if (body.failover !== undefined) {
+      const ids = Array.isArray(body.failover) ? body.failover.map((id) => String(id).trim().toLowerCase()).filter(Boolean) : null;
+      const unknown = ids?.find((id) => !known.includes(id));
+      if (!ids || unknown) return res.status(400).json({ success: false, error: unknown ? `Unknown failover profile: ${unknown}` : 'failover must be an array of profile ids' });
+      body.failover = [...new Set(ids)];
+    }
     if (body.ollama?.url && !/^https?:\/\//i.test(body.ollama.url)) {
       return res.status(400).json({ success: false, error: 'Invalid Ollama URL' });
     }
+    if (body.retrieval?.lexicalWeight !== undefined) {
+      const w = Number(body.retrieval.lexicalWeight);
+      if (!Number.isFinite(w) || w < 0 || w > 1) {
+        return res.status(400).json({ success: false, error: 'lexicalWeight must be between 0 and 1' });
+      }
+      body.retrieval.lexicalWeight = w;
+    }
+    const rerank = body.retrieval?.rerank;
+    if (rerank) {
+      for (const key of ['candidates', 'topN']) {
+        if (rerank[key] === undefined) continue;
+        const n = Number(rerank[key]);
+        if (!Number.isInteger(n) || n < 1 || n > 500) {
+          return res.status(400).json({ success: false, error: `rerank.${key} must be an integer between 1 and 500` });
+        }
+        rerank[key] = n;
+      }
+      if (rerank.enabled !== undefined) rerank.enabled = !!rerank.enabled;
+    }
+    if (body.embedding?.model !== undefined && !String(body.embedding.model).trim()) {
+      return res.status(400).json({ success: false, error: 'Embedding model must not be empty' });
+    }
     const saved = await saveSettings(body);
-    res.json({ success: true, message: 'Settings saved', data: saved });
+    res.json({ success: true, message: 'Settings saved', data: publicSettings(saved) });
   } catch (e) {
     res.status(500).json({ success: false, error: String(e) });
   }
 });
 
+// Tests the active profile, or `?profile=<id>`
 app.get('/api/settings/test', async (req, res) => {
   try {
-    const s = await loadSettings();
-    if (s.aiProvider === 'groq') {
-      if (!s.groq.apiKey) return res.json({ success: false, message: 'Missing GROQ API key' });
-      const out = await chatComplete([
-        { role: 'system', content: 'You return the word ok.' },
-        { role: 'user', content: 'Say ok' },
-      ], { max_tokens: 3 });
-      return res.json({ success: true, message: 'Groq reachable', data: { sample: out?.slice(0, 32) } });
-    }
-    const base = s.ollama?.url || 'http://ollama:11434';
-    try {
-      const resp = await fetch(new URL('/v1/models', base));
-      const ok = resp.ok;
-      const models = ok ? await resp.json().catch(() => ({})) : null;
-      return res.json({ success: ok, message: ok ? 'Ollama reachable' : `Ollama HTTP ${resp.status}`, data: models });
-    } catch (err) {
-      return res.json({ success: false, message: 'Ollama not reachable', error: String(err) });
-    }
+    const profile = req.query.profile ? String(req.query.profile) : null;
+    const invalid = await profileError(profile);
+    if (invalid) return res.status(400).json({ success: false, error: invalid });
+    // Lists the provider's models: checks the URL and key without spending tokens
+    const check = await checkProvider(profile);
+    if (!check.ok) return res.json({ success: false, message: `${check.name} not reachable`, error: check.error });
+    res.json({ success: true, message: `${check.name} reachable`, data: { latencyMs: check.latencyMs } });
   } catch (e) {
     res.status(500).json({ success: false, error: String(e) });
   }
 });
-app.post('/api/ingest', async (req, res) => {
+
+// Models each profile's provider offers ({ id, contextLength }), for the settings picker; `?profile=` for one
+app.get('/api/models', async (req, res) => {
   try {
-    const dir = process.env.DOCS_DIR || 'docs';
-    const idx = await buildAndSaveIndex(dir);
-    res.json({ ok: true, chunks: idx.items.length });
+    const profile = req.query.profile ? String(req.query.profile) : null;
+    const invalid = await profileError(profile);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+    const providers = await listAllModels();
+    res.json({ ok: true, providers: profile ? providers.filter((p) => p.profile === profile) : providers });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e) });
+  }
+});
+
+// Downloads a model on an Ollama profile, streaming SSE `progress` events, then `done` or `error`.
+// Closing the connection cancels the download.
+app.post('/api/models/pull', async (req, res) => {
+  const { profile = null, model } = req.body || {};
+  const name = String(model || '').trim();
+  if (!/^[\w.:/-]{1,200}$/.test(name)) return res.status(400).json({ ok: false, error: 'Invalid model name' });
+  let invalid;
+  try {
+    invalid = await profileError(profile);
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: String(e) });
+  }
+  if (invalid) return res.status(400).json({ ok: false, error: invalid });
+  const steps = pullProviderModel(profile, name);
+  let step;
+  try {
+    step = await steps.next();
+  } catch (e) {
+    return res.status(e.code === 'PULL_UNSUPPORTED' ? 400 : 502).json({ ok: false, error: String(e.message || e) });
+  }
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders?.();
+  const send = (event, data) => {
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+  try {
+    while (!step.done && !closed) {
+      const { status, total, completed } = step.value;
+      send('progress', { status, total, completed, percent: total ? Math.floor((completed / total) * 100) : null });
+      step = await steps.next();
+    }
+    if (closed) {
+      await steps.return();
+      console.log(`[pull] ${name}: cancelled by the client`);
+    } else {
+      send('done', { ok: true, model: name });
+    }
+  } catch (e) {
+    send('error', { ok: false, error: String(e.message || e) });
+  }
+  res.end();
+});
+
+// Provider profiles for per-request selection (API keys are never returned)
+app.get('/api/profiles', async (req, res) => {
+  try {
+    res.json({ ok: true, ...await listProfiles() });
   } catch (e) {
-    console.error(e);
     res.status(500).json({ ok: false, error: String(e) });
   }
 });
 
 // Progressive ingest with simple polling progress state (in-memory)
+// Incremental by default; pass { full: true } to re-embed every file.
+// Builds run one at a time; manual rebuilds and watcher batches queue behind each other.
 let ingestProgress = { stage: 'idle', processed: 0, total: 0 };
+let ingestQueue = Promise.resolve();
+let docWatcher = null;
+function runIngest({ full = false, paths = null, trigger = 'manual' } = {}) {
+  const dir = process.env.DOCS_DIR || 'docs';
+  const job = ingestQueue.then(async () => {
+    // Watcher runs say which files set them off
+    const origin = { trigger, ...(paths ? { files: paths.slice(0, 20).map((p) => (isWebUrl(p) ? p : path.relative(path.resolve(dir), p))) } : {}) };
+    ingestProgress = { stage: 'scanning', processed: 0, total: 0, ...origin };
+    try {
+      const idx = await buildAndSaveIndex(dir, {
+        full,
+        paths,
+        onProgress: ({ stage, processed, total }) => {
+          ingestProgress = { stage, processed, total, ...origin };
+        }
+      });
+      ingestProgress = { stage: 'done', processed: idx.items.length, total: idx.items.length, ...origin, ...idx.stats };
+      return idx;
+    } catch (err) {
+      ingestProgress = { stage: 'error', processed: 0, total: 0, ...origin, error: String(err) };
+      throw err;
+    }
+  });
+  ingestQueue = job.catch(() => {});
+  return job;
+}
+
+app.post('/api/ingest', async (req, res) => {
+  try {
+    const idx = await runIngest({ full: !!req.body?.full });
+    res.json({ ok: true, chunks: idx.items.length, ...idx.stats });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: String(e) });
+  }
+});
+
 app.post('/api/ingest/start', async (req, res) => {
   try {
-    const dir = process.env.DOCS_DIR || 'docs';
-    ingestProgress = { stage: 'scanning', processed: 0, total: 0 };
+    const full = !!req.body?.full;
+    ingestProgress = { stage: 'scanning', processed: 0, total: 0, trigger: 'manual' };
     res.json({ success: true });
     // Kick off async job
-    ;(async () => {
-      try {
-        // Estimate total chunks for chunking stage to enable progress bar
-        try {
-          const est = await estimateCorpusChunks(dir);
-          ingestProgress = { stage: 'chunking', processed: 0, total: est };
-        } catch {
-          ingestProgress = { stage: 'chunking', processed: 0, total: 0 };
-        }
-        const chunks = await buildCorpusChunks(dir, {
-          onProgress: ({ processed }) => {
-            ingestProgress = { stage: 'chunking', processed, total: ingestProgress.total };
-          }
-        });
-        ingestProgress = { stage: 'embedding', processed: 0, total: chunks.length };
-        const texts = chunks.map(c => c.text);
-        const embeddings = await embedTexts(texts, {
-          onProgress: ({ processed }) => {
-            ingestProgress = { stage: 'embedding', processed, total: chunks.length };
-          }
-        });
-        const dim = embeddings.length ? embeddings[0].length : 384;
-        const items = chunks.map((c, i) => ({
-          vector: embeddings[i] ?? new Array(dim).fill(0),
-          text: c.text,
-          sourcePath: c.sourcePath,
-          pageNumber: c.pageNumber,
-          chunkId: c.chunkId,
-          tokenCount: c.tokenCount,
-        }));
-        await saveIndex({ dim, items });
-        ingestProgress = { stage: 'done', processed: items.length, total: items.length };
-      } catch (err) {
-        ingestProgress = { stage: 'error', processed: 0, total: 0, error: String(err) };
-      }
-    })();
+    runIngest({ full }).catch(() => {});
   } catch (e) {
     ingestProgress = { stage: 'error', processed: 0, total: 0, error: String(e) };
     res.status(500).json({ success: false, error: String(e) });
@@ -136,7 +282,29 @@ app.post('/api/ingest/start', async (req, res) => {
 });
 
 app.get('/api/ingest/status', async (req, res) => {
-  res.json({ success: true, data: ingestProgress });
+  res.json({ success: true, data: { ...ingestProgress, watching: Boolean(docWatcher) } });
+});
+
+// Index metadata; needsRebuild is set when the configured embedding model differs from the stored one
+app.get('/api/index', async (req, res) => {
+  try {
+    const idx = await loadIndex();
+    const embedding = await getEmbeddingConfig();
+    const mismatch = await checkIndexModel(idx);
+    res.json({
+      success: true,
+      data: {
+        items: idx.items.length,
+        dim: idx.dim,
+        model: idx.items.length ? (idx.model || DEFAULT_EMBEDDING_MODEL) : null,
+        configuredModel: embedding.model,
+        needsRebuild: !!mismatch,
+        message: mismatch,
+      },
+    });
+  } catch (e) {
+    res.status(500).json({ success: false, error: String(e) });
+  }
 });
 
 // List available documents for selection
@@ -157,10 +325,28 @@ app.get('/api/documents', async (req, res) => {
   try {
     const dir = process.env.DOCS_DIR || 'docs';
     const files = await listDocFiles(dir);
+    const index = await loadIndex();
+    const manifest = index.files || {};
+    const reports = await loadIngestReport();
+    // Extracted properties of each file, from its first chunk
+    const extracted = new Map();
+    for (const item of index.items) {
+      const file = item.containerPath || item.sourcePath;
+      if (!extracted.has(file) && item.meta && !item.containerPath) extracted.set(file, item.meta);
+    }
     const docs = await Promise.all(files.map(async (abs) => {
-      let size = 0; let mtime = null; let type = (path.extname(abs).slice(1) || '').toLowerCase();
+      let size = 0; let mtime = null; let type = fileExt(abs).slice(1);
       try { const st = await fs.stat(abs); size = st.size; mtime = st.mtime?.toISOString?.() || null; } catch {}
-      return { path: abs, name: path.basename(abs), size, uploadDate: mtime, processedDate: null, type };
+      const ocrPages = manifest[abs]?.ocrPages || [];
+      // Status, extractor, page/chunk counts, warnings and error of the last time the file was read
+      const report = reports[abs] || null;
+      const doc = { path: abs, name: path.basename(abs), size, uploadDate: mtime, processedDate: report?.indexedAt || null, type, ocrPages, report };
+      if (manifest[abs]?.members) doc.members = manifest[abs].members;
+      // Files whose chunks largely reappear in another file (revisions, copies)
+      doc.duplicates = (manifest[abs]?.duplicates || []).map((d) => ({ name: displayName(d.path), path: d.path, overlap: d.overlap }));
+      doc.meta = { ...(extracted.get(abs) || {}), ...(manifest[abs]?.userMeta || {}) };
+      doc.tags = Array.isArray(doc.meta.tags) ? doc.meta.tags : [];
+      return doc;
     }));
     res.json({ success: true, data: { documents: docs } });
   } catch (e) {
@@ -173,9 +359,9 @@ app.post('/api/documents/upload', async (req, res) => {
     const { fileName, contentBase64 } = req.body || {};
     if (!fileName || !contentBase64) return res.status(400).json({ success: false, error: 'Missing fileName or contentBase64' });
     const safe = path.basename(fileName);
-    const allowed = ['.pdf', '.docx', '.md', '.txt', '.html', '.htm', '.csv', '.tsv', '.log', '.json', '.jsonl', '.yaml', '.yml', '.ipynb', '.xlsx', '.epub', '.pptx'];
-    const ext = path.extname(safe).toLowerCase();
-    if (!allowed.includes(ext)) return res.status(400).json({ success: false, error: 'Unsupported file type' });
+    // Archives are only opened at indexing time, where member names and sizes are checked
+    const ext = fileExt(safe);
+    if (!INDEXED_EXTS.includes(ext)) return res.status(400).json({ success: false, error: 'Unsupported file type' });
     const buf = Buffer.from(contentBase64, 'base64');
     const maxBytes = Number(process.env.UPLOAD_MAX_BYTES || 20 * 1024 * 1024);
     if (buf.length > maxBytes) return res.status(400).json({ success: false, error: 'File too large' });
@@ -194,12 +380,110 @@ app.delete('/api/documents/:filename', async (req, res) => {
     if (!safe) return res.status(400).json({ success: false, error: 'Missing filename' });
     const dir = process.env.DOCS_DIR || 'docs';
     await fs.unlink(path.join(dir, safe));
+    await fs.rm(path.join(dir, `${safe}${SIDECAR_SUFFIX}`), { force: true });
     res.json({ success: true, message: 'Deleted' });
   } catch (e) {
     res.status(500).json({ success: false, error: String(e) });
   }
 });
 
+// User metadata (tags and any other fields) for one document, merged into its "<name>.meta.json"
+// sidecar (null removes a field); the index manifest picks it up without re-embedding. The sidecar
+// is what counts, so the manifest refresh runs in the background rather than behind a running rebuild.
+app.patch('/api/documents/:filename/meta', async (req, res) => {
+  try {
+    const safe = path.basename(req.params.filename || '');
+    if (!safe) return res.status(400).json({ success: false, error: 'Missing filename' });
+    const patch = req.body || {};
+    if (typeof patch !== 'object' || Array.isArray(patch)) return res.status(400).json({ success: false, error: 'Body must be an object' });
+    if (patch.tags != null && (!Array.isArray(patch.tags) || !patch.tags.every((t) => typeof t === 'string' && t.trim()))) {
+      return res.status(400).json({ success: false, error: 'tags must be an array of non-empty strings' });
+    }
+    if (patch.tags) patch.tags = [...new Set(patch.tags.map((t) => t.trim()))];
+    const dir = process.env.DOCS_DIR || 'docs';
+    const abs = path.resolve(dir, safe);
+    try { await fs.access(abs); } catch { return res.status(404).json({ success: false, error: 'Document not found' }); }
+    const sidecar = `${abs}${SIDECAR_SUFFIX}`;
+    let meta = {};
+    try { meta = JSON.parse(await fs.readFile(sidecar, 'utf-8')); } catch {}
+    for (const [key, value] of Object.entries(patch)) {
+      if (value === null) delete meta[key];
+      else meta[key] = value;
+    }
+    await fs.writeFile(sidecar, JSON.stringify(meta, null, 2), 'utf-8');
+    runIngest({ paths: [abs], trigger: 'meta' }).catch((e) => console.warn(`[meta] index refresh failed: ${e.message || e}`));
+    res.json({ success: true, message: 'Saved', data: meta });
+  } catch (e) {
+    res.status(500).json({ success: false, error: String(e) });
+  }
+});
+
+// Web sources: sites crawled into the corpus (see webCrawler.js). Crawls run one at a time and
+// queue an incremental rebuild for the pages that changed.
+const crawling = new Set();
+let crawlQueue = Promise.resolve();
+function runCrawl(id) {
+  crawling.add(id);
+  const job = crawlQueue.then(async () => {
+    try {
+      const result = await crawlWebSource(id);
+      const paths = [...result.changed, ...result.removed];
+      if (paths.length) await runIngest({ paths, trigger: 'crawl' });
+      return result;
+    } finally {
+      crawling.delete(id);
+    }
+  });
+  crawlQueue = job.catch(() => {});
+  return job;
+}
+
+app.get('/api/web/sources', async (req, res) => {
+  try {
+    const sources = await listWebSources();
+    res.json({ success: true, data: { sources: sources.map((s) => ({ ...s, crawling: crawling.has(s.id) })) } });
+  } catch (e) {
+    res.status(500).json({ success: false, error: String(e) });
+  }
+});
+
+// Body: { url, domain?, maxDepth?, recrawlHours? }; url may be a page or a sitemap. The first
+// crawl starts in the background.
+app.post('/api/web/sources', async (req, res) => {
+  try {
+    const source = await addWebSource(req.body || {});
+    runCrawl(source.id).catch((e) => console.warn(`[crawl] ${source.url} failed: ${e.message || e}`));
+    res.json({ success: true, data: { ...source, crawling: true } });
+  } catch (e) {
+    if (e.code === 'INVALID_WEB_SOURCE') return res.status(400).json({ success: false, error: e.message });
+    res.status(500).json({ success: false, error: String(e) });
+  }
+});
+
+// Crawl now and wait for it (and the index update) to finish
+app.post('/api/web/sources/:id/crawl', async (req, res) => {
+  try {
+    const result = await runCrawl(req.params.id);
+    res.json({ success: true, data: result.stats });
+  } catch (e) {
+    if (e.code === 'NOT_FOUND') return res.status(404).json({ success: false, error: e.message });
+    res.status(500).json({ success: false, error: String(e) });
+  }
+});
+
+app.delete('/api/web/sources/:id', async (req, res) => {
+  try {
+    const job = crawlQueue.then(() => removeWebSource(req.params.id));
+    crawlQueue = job.catch(() => {});
+    const removed = await job;
+    if (removed.length) await runIngest({ paths: removed, trigger: 'crawl' });
+    res.json({ success: true, message: 'Deleted', data: { removedPages: removed.length } });
+  } catch (e) {
+    if (e.code === 'NOT_FOUND') return res.status(404).json({ success: false, error: e.message });
+    res.status(500).json({ success: false, error: String(e) });
+  }
+});
+
 // Session default selection (persisted in settings)
 app.get('/api/session/documents', async (req, res) => {
   try {
@@ -225,6 +509,9 @@ app.post('/api/session/documents', async (req, res) => {
 // Generate an asynchronous brief summary of the current document corpus
 app.get('/api/summary', async (req, res) => {
   try {
+    const profile = req.query.profile ? String(req.query.profile) : null;
+    const badProfile = await profileError(profile);
+    if (badProfile) return res.status(400).json({ ok: false, error: badProfile });
     // Build per-document context from the current index
     const index = await loadIndex();
     const maxDocs = Number(process.env.SUMMARY_MAX_DOCS || 6);
@@ -252,7 +539,7 @@ app.get('/api/summary', async (req, res) => {
     const perDocMaxTokens = Math.max(200, Math.floor(Number(process.env.SUMMARY_MAX_TOKENS || 800) / Math.max(1, docEntries.length)));
     const sections = [];
     for (const [sourcePath, parts] of docEntries) {
-      const name = path.basename(sourcePath);
+      const name = displayName(sourcePath);
       const joined = parts
         .map((p) => (p.pageNumber ? `(p.${p.pageNumber}) ` : '') + p.text)
         .join('\n');
@@ -260,7 +547,7 @@ app.get('/api/summary', async (req, res) => {
       const section = await chatComplete([
         { role: 'system', content: system },
         { role: 'user', content: user },
-      ], { temperature: 0.2, max_tokens: perDocMaxTokens });
+      ], { temperature: 0.2, max_tokens: perDocMaxTokens, profile });
       if (section) sections.push(section);
     }
 
@@ -274,7 +561,9 @@ app.get('/api/summary', async (req, res) => {
 // Summary for selected documents
 app.post('/api/summary', async (req, res) => {
   try {
-    const { selectedDocs } = req.body || {};
+    const { selectedDocs, profile } = req.body || {};
+    const badProfile = await profileError(profile);
+    if (badProfile) return res.status(400).json({ ok: false, error: badProfile });
     const index = await loadIndex();
     const maxDocs = Number(process.env.SUMMARY_MAX_DOCS || 6);
     const snippetsPerDoc = Number(process.env.SUMMARY_SNIPPETS_PER_DOC || 2);
@@ -283,7 +572,7 @@ app.post('/api/summary', async (req, res) => {
     const allow = Array.isArray(selectedDocs) && selectedDocs.length ? new Set(selectedDocs) : null;
     const byDoc = new Map();
     for (const item of index.items || []) {
-      if (allow && !allow.has(item.sourcePath)) continue;
+      if (allow && !allow.has(item.sourcePath) && !allow.has(item.containerPath)) continue;
       const key = item.sourcePath;
       if (!byDoc.has(key)) byDoc.set(key, []);
       const arr = byDoc.get(key);
@@ -298,7 +587,7 @@ app.post('/api/summary', async (req, res) => {
     const perDocMaxTokens = Math.max(200, Math.floor(Number(process.env.SUMMARY_MAX_TOKENS || 800) / Math.max(1, docEntries.length)));
     const sections = [];
     for (const [sourcePath, parts] of docEntries) {
-      const name = path.basename(sourcePath);
+      const name = displayName(sourcePath);
       const joined = parts
         .map((p) => (p.pageNumber ? `(p.${p.pageNumber}) ` : '') + p.text)
         .join('\n');
@@ -306,7 +595,7 @@ app.post('/api/summary', async (req, res) => {
       const section = await chatComplete([
         { role: 'system', content: system },
         { role: 'user', content: user },
-      ], { temperature: 0.2, max_tokens: perDocMaxTokens });
+      ], { temperature: 0.2, max_tokens: perDocMaxTokens, profile });
       if (section) sections.push(section);
     }
 
@@ -321,7 +610,9 @@ app.post('/api/summary', async (req, res) => {
 app.post('/api/suggest', async (req, res) => {
   try {
     const k = Number(process.env.SUGGEST_TOP_K || 10);
-    const { history: rawHistory, selectedDocs } = req.body || {};
+    const { history: rawHistory, selectedDocs, filter, profile } = req.body || {};
+    const invalid = filterError(filter) || await profileError(profile);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
     const historyMessages = sanitizeHistory(rawHistory);
     const recent = historyMessages.slice(-6);
 
@@ -332,10 +623,12 @@ app.post('/api/suggest', async (req, res) => {
       const maxDocs = Number(process.env.SUGGEST_MAX_DOCS || 8);
       const perDocChars = Number(process.env.SUGGEST_SNIPPET_CHARS || 300);
       const byDoc = new Map();
+      const matches = compileItemFilter(filter, index);
       for (const item of index.items || []) {
         if (Array.isArray(selectedDocs) && selectedDocs.length) {
-          if (!selectedDocs.includes(item.sourcePath)) continue;
+          if (!selectedDocs.includes(item.sourcePath) && !selectedDocs.includes(item.containerPath)) continue;
         }
+        if (matches && !matches(item)) continue;
         const key = item.sourcePath;
         if (!byDoc.has(key)) byDoc.set(key, []);
         const arr = byDoc.get(key);
@@ -343,7 +636,7 @@ app.post('/api/suggest', async (req, res) => {
       }
       const docEntries = Array.from(byDoc.entries()).slice(0, maxDocs);
       const parts = docEntries.map(([sourcePath, arr]) => {
-        const name = path.basename(sourcePath);
+        const name = displayName(sourcePath);
         const s = arr.map((p) => (p.pageNumber ? `(p.${p.pageNumber}) ` : '') + p.text).join('\n');
         return `[${name}] ${s}`;
       });
@@ -354,12 +647,8 @@ app.post('/api/suggest', async (req, res) => {
         .map((m) => `${m.role}: ${m.content}`)
         .join(' \n ')
         .slice(0, 1200);
-      const results = await searchIndex(seedQuery, k, Array.isArray(selectedDocs) && selectedDocs.length ? selectedDocs : null);
-      const snippets = results.map(({ item }) => {
-        const name = path.basename(item.sourcePath);
-        const page = item.pageNumber ? ` p.${item.pageNumber}` : '';
-        return `[${name}${page}] ${item.text.slice(0, 500)}`;
-      });
+      const results = await searchIndex(seedQuery, k, Array.isArray(selectedDocs) && selectedDocs.length ? selectedDocs : null, { filter });
+      const snippets = results.map(({ item }) => `[${sourceLabel(item)}] ${item.text.slice(0, 500)}`);
       context = snippets.join('\n\n');
     }
 
@@ -370,7 +659,7 @@ app.post('/api/suggest', async (req, res) => {
     const raw = await chatComplete([
       { role: 'system', content: system },
       { role: 'user', content: user },
-    ], { temperature: 0.3, max_tokens: 200 });
+    ], { temperature: 0.3, max_tokens: 200, profile });
 
     let questions = [];
     try {
@@ -424,17 +713,18 @@ app.post('/api/suggest', async (req, res) => {
     res.json({ ok: true, questions });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ ok: false, error: String(e) });
+    res.status(e.code === 'INDEX_MODEL_MISMATCH' ? 409 : e.code === 'LLM_UNAVAILABLE' ? 503 : 500).json({ ok: false, error: String(e) });
   }
 });
 
 // Provider status for UI
 app.get('/api/status', async (req, res) => {
   try {
-    const info = await getProviderInfo();
-    res.json({ ok: true, startedAt: serverStartedAt, ...info });
+    const info = await getProviderInfo(req.query.profile ? String(req.query.profile) : null);
+    const { failover = [] } = await loadSettings();
+    res.json({ ok: true, startedAt: serverStartedAt, ...info, failover, health: providerHealth() });
   } catch (e) {
-    res.status(500).json({ ok: false, error: String(e) });
+    res.status(e.code === 'UNKNOWN_PROFILE' ? 400 : 500).json({ ok: false, error: String(e) });
   }
 });
 
@@ -553,10 +843,101 @@ function sanitizeHistory(raw) {
   return result.reverse();
 }
 
+const CHAT_TOP_K = 12;
+
+// Filter expressions are checked up front so a typo is a 400 rather than a failed search
+function filterError(filter) {
+  try {
+    compileFilter(filter);
+    return null;
+  } catch (e) {
+    if (e.code === 'INVALID_FILTER') return e.message;
+    throw e;
+  }
+}
+
+// Chat retrieval: hybrid search, then (when enabled) cross-encoder re-ranking of a wider pool
+async function retrieveForChat(query, selectedDocs, filter = null) {
+  const allowed = Array.isArray(selectedDocs) && selectedDocs.length ? selectedDocs : null;
+  const s = await loadSettings();
+  const rr = s.retrieval?.rerank || {};
+  if (!rr.enabled) return searchIndex(query, CHAT_TOP_K, allowed, { filter });
+  const topN = Number(rr.topN || CHAT_TOP_K);
+  const pool = await searchIndex(query, Math.max(topN, Number(rr.candidates || 50)), allowed, { filter });
+  try {
+    return await rerankResults(query, pool, { model: rr.model || DEFAULT_RERANK_MODEL, topN });
+  } catch (e) {
+    console.warn(`[rerank] falling back to fused ranking: ${e.message || e}`);
+    return pool.slice(0, topN);
+  }
+}
+
+// "a.pdf" for files, "bundle.zip!/specs/a.pdf" for archive members, the URL for crawled pages
+function displayName(sourcePath) {
+  if (isWebUrl(sourcePath)) return String(sourcePath);
+  const [outer, ...inner] = String(sourcePath).split('!/');
+  return [path.basename(outer), ...inner].join('!/');
+}
+
+// "Re: Budget" from Ann <ann@x.org>, 2024-03-01
+function mailLabel(meta) {
+  if (!meta) return '';
+  const parts = [meta.subject ? `"${meta.subject}"` : '', meta.from ? `from ${meta.from}` : ''].filter(Boolean).join(' ');
+  const date = meta.date ? String(meta.date).slice(0, 10) : '';
+  return ` ${[parts, date].filter(Boolean).join(', ')}`.trimEnd();
+}
+
+// "file.pdf p.3", "file.pdf p.3-4", "guide.md § Install > Docker", "parser.ts L120-158 § Parser > parseExpr",
+// "budget.xlsx Sheet2 rows 40-80" or 'box.mbox!/3.eml "Subject" from Ann, 2024-03-01';
+// the section or message lets citations name where in a file
+function sourceLabel(item) {
+  // Slide decks number slides, not pages
+  const unit = fileExt(item.sourcePath) === '.pptx' ? ' slide ' : ' p.';
+  const page = item.pageNumber ? `${unit}${item.pageNumber}${item.pageEnd ? `-${item.pageEnd}` : ''}` : '';
+  const lines = item.lineStart ? ` L${item.lineStart}-${item.lineEnd}` : '';
+  const rows = item.rowStart ? ` ${item.sheet ? `${item.sheet} ` : ''}rows ${item.rowStart}-${item.rowEnd}` : '';
+  const section = item.headingPath ? ` § ${item.headingPath}` : '';
+  return `${displayName(item.sourcePath)}${page}${lines}${rows}${section}${mailLabel(item.meta)}`;
+}
+
+// Per-chunk scores for the UI
+function describeSources(results) {
+  return results.map(({ item, score, vectorScore, lexicalScore, rerankScore, duplicates = [] }) => ({
+    name: displayName(item.sourcePath),
+    sourcePath: item.sourcePath,
+    pageNumber: item.pageNumber || null,
+    pageEnd: item.pageEnd || null,
+    lineStart: item.lineStart || null,
+    lineEnd: item.lineEnd || null,
+    sheet: item.sheet || null,
+    rowStart: item.rowStart || null,
+    rowEnd: item.rowEnd || null,
+    headingPath: item.headingPath || null,
+    ocr: Boolean(item.ocr),
+    meta: item.meta || null,
+    chunkId: item.chunkId,
+    score,
+    vectorScore,
+    lexicalScore,
+    rerankScore: rerankScore ?? null,
+    // Near-identical chunks collapsed into this one (other revisions, shared boilerplate)
+    duplicates: duplicates.map((d) => ({
+      name: displayName(d.sourcePath),
+      sourcePath: d.sourcePath,
+      pageNumber: d.pageNumber || null,
+      pageEnd: d.pageEnd || null,
+      lineStart: d.lineStart || null,
+      lineEnd: d.lineEnd || null,
+    })),
+  }));
+}
+
 app.post('/api/chat', async (req, res) => {
   try {
-    const { query, history: rawHistory, selectedDocs, allowOutsideKnowledge } = req.body || {};
+    const { query, history: rawHistory, selectedDocs, filter, allowOutsideKnowledge, profile } = req.body || {};
     if (!query) return res.status(400).json({ ok: false, error: 'Missing query' });
+    const invalid = filterError(filter) || await profileError(profile);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
 
     // Augment retrieval with last assistant answer excerpt (if any)
     const histForRetrieval = sanitizeHistory(rawHistory);
@@ -565,14 +946,9 @@ app.post('/api/chat', async (req, res) => {
     const assistantExcerpt = lastAssistant ? lastAssistant.content.slice(0, excerptLen) : '';
     const retrievalQuery = assistantExcerpt ? `${assistantExcerpt} \n\n${query}` : query;
 
-    const results = await searchIndex(retrievalQuery, 12, Array.isArray(selectedDocs) && selectedDocs.length ? selectedDocs : null);
+    const results = await retrieveForChat(retrievalQuery, selectedDocs, filter);
 
-    const contextLines = results.map(({ item }) => {
-      const name = path.basename(item.sourcePath);
-      const pageLabel = item.pageNumber ? ` p.${item.pageNumber}` : '';
-      const snippet = item.text.slice(0, 2000);
-      return `[src=${name}${pageLabel}] ${snippet}`;
-    });
+    const contextLines = results.map(({ item }) => `[src=${sourceLabel(item)}] ${item.text.slice(0, 2000)}`);
 
     const historyContext = assistantExcerpt
       ? `Previous answer excerpt (for context):\n${assistantExcerpt}`
@@ -589,7 +965,7 @@ Grounding
 
 Citations
 - Add inline <sup>n</sup> (or [n]) after supported sentences.
-- End with a Citations list mapping n → 📄 filename.ext pg. N (or 📄 filename.ext). Use lowercase "pg." exactly. Reuse numbers; multiple sources: <sup>1,2</sup>. No # or anchors.
+- End with a Citations list mapping n → 📄 filename.ext pg. N, 📄 filename.ext § Section when a section is shown, or 📄 filename.ext. Use lowercase "pg." exactly. Reuse numbers; multiple sources: <sup>1,2</sup>. No # or anchors.
 
 Style
 - Markdown. 1–2 sentence summary then details. Headings/bullets/code OK. Be concise. Note conflicts.`;
@@ -603,7 +979,7 @@ Grounding
 - Use ONLY the Context (and Previous answer excerpt). If insufficient, say you lack enough context.
 
 Citations
-- Inline <sup>n</sup> (or [n]); finish with a Citations list mapping n → 📄 filename.ext pg. N (or 📄 filename.ext). Use lowercase "pg." exactly. No URLs/paths. Do not invent. No # or anchors.
+- Inline <sup>n</sup> (or [n]); finish with a Citations list mapping n → 📄 filename.ext pg. N, 📄 filename.ext § Section when a section is shown, or 📄 filename.ext. Use lowercase "pg." exactly. No URLs/paths. Do not invent. No # or anchors.
 
 Style
 - Markdown. Brief first, then details. Headings/bullets/code OK. Be concise. Note conflicts.`;
@@ -619,25 +995,28 @@ Style
       console.log(`[chat] history preview:`, preview);
     }
 
+    let provider = null;
     const answer = await chatComplete([
       { role: 'system', content: system },
       ...historyMessages,
       { role: 'user', content: user },
-    ], { temperature: 0.2, max_tokens: Number(process.env.CHAT_MAX_TOKENS || 2048) });
+    ], { temperature: 0.2, max_tokens: Number(process.env.CHAT_MAX_TOKENS || 2048), profile, onProvider: (info) => { provider = info; } });
 
     const chunks = [answer];
-    res.json({ ok: true, chunks });
+    res.json({ ok: true, chunks, sources: describeSources(results), provider });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ ok: false, error: String(e) });
+    res.status(e.code === 'INDEX_MODEL_MISMATCH' ? 409 : e.code === 'LLM_UNAVAILABLE' ? 503 : 500).json({ ok: false, error: String(e) });
   }
 });
 
 // Streaming chat via SSE
 app.post('/api/chat/stream', async (req, res) => {
   try {
-    const { query, history: rawHistory, selectedDocs, allowOutsideKnowledge } = req.body || {};
+    const { query, history: rawHistory, selectedDocs, filter, allowOutsideKnowledge, profile } = req.body || {};
     if (!query) return res.status(400).json({ ok: false, error: 'Missing query' });
+    const invalid = filterError(filter) || await profileError(profile);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
 
     // Augment retrieval with last assistant answer excerpt (if any)
     const histForRetrieval = sanitizeHistory(rawHistory);
@@ -646,13 +1025,8 @@ app.post('/api/chat/stream', async (req, res) => {
     const assistantExcerpt = lastAssistant ? lastAssistant.content.slice(0, excerptLen) : '';
     const retrievalQuery = assistantExcerpt ? `${assistantExcerpt} \n\n${query}` : query;
 
-    const results = await searchIndex(retrievalQuery, 12, Array.isArray(selectedDocs) && selectedDocs.length ? selectedDocs : null);
-    const contextLines = results.map(({ item }) => {
-      const name = path.basename(item.sourcePath);
-      const pageLabel = item.pageNumber ? ` p.${item.pageNumber}` : '';
-      const snippet = item.text.slice(0, 2000);
-      return `[src=${name}${pageLabel}] ${snippet}`;
-    });
+    const results = await retrieveForChat(retrievalQuery, selectedDocs, filter);
+    const contextLines = results.map(({ item }) => `[src=${sourceLabel(item)}] ${item.text.slice(0, 2000)}`);
     const historyContext = assistantExcerpt
       ? `Previous answer excerpt (for context):\n${assistantExcerpt}`
       : '';
@@ -670,8 +1044,13 @@ Grounding
 Citations (numbered)
 - Inside the answer, add inline reference markers immediately after the sentence(s) they support as <sup>n</sup>. If HTML is unsuitable, use [n].
 - At the end, add a small-text Citations section listing each reference number and its source, using exactly one of:
-  - 📄 filename.ext - Pg N (when a page number is shown)
-  - 📄 filename.ext (when no page number is shown)
+  - 📄 filename.ext - Pg N (when a page number is shown; Pg N-M for a page range)
+  - 📄 filename.ext § Section (when a section is shown after §)
+  - 📄 filename.ext L120-158 (when a line range is shown)
+  - 📄 deck.pptx slide 12 (when a slide is shown)
+  - 📄 filename.ext Sheet2 rows 40-80 (when a sheet or row range is shown)
+  - 📄 filename.ext "Subject", date (for e-mail messages)
+  - 📄 filename.ext (when neither is shown)
 - Reuse the same number for the same source; for multiple sources for a sentence, use comma-separated numbers, e.g., <sup>1,2</sup>.
 - Do not cite external knowledge. Never invent sources or page numbers.
 
@@ -696,8 +1075,13 @@ Citations (numbered)
 - Cite every claim supported by a snippet.
 - Inside the answer, add inline reference markers immediately after the sentence(s) they support as <sup>n</sup>. If HTML is unsuitable, use [n].
 - At the end, add a small-text Citations section listing each reference number and its source, using exactly one of:
-  - 📄 filename.ext - Pg N (when a page number is shown)
-  - 📄 filename.ext (when no page number is shown)
+  - 📄 filename.ext - Pg N (when a page number is shown; Pg N-M for a page range)
+  - 📄 filename.ext § Section (when a section is shown after §)
+  - 📄 filename.ext L120-158 (when a line range is shown)
+  - 📄 deck.pptx slide 12 (when a slide is shown)
+  - 📄 filename.ext Sheet2 rows 40-80 (when a sheet or row range is shown)
+  - 📄 filename.ext "Subject", date (for e-mail messages)
+  - 📄 filename.ext (when neither is shown)
 - Reuse the same number for the same source; for multiple sources, use comma-separated numbers, e.g., <sup>1,2</sup>.
 - Never include URLs or paths. Never invent sources or page numbers.
 
@@ -725,7 +1109,9 @@ Style
     };
 
     // Initial event with context info (optional)
-    send('status', { ok: true, started: true });
+    const { profile: profileId, model } = await getProviderInfo(profile);
+    send('status', { ok: true, started: true, profile: profileId, model });
+    send('sources', { sources: describeSources(results) });
 
     const historyMessages = sanitizeHistory(rawHistory);
     console.log(`[chat/stream] history messages used: ${historyMessages.length}`);
@@ -742,7 +1128,13 @@ Style
         ...historyMessages,
         { role: 'user', content: user },
       ],
-      { temperature: 0.2, max_tokens: Number(process.env.CHAT_MAX_TOKENS || 2048) },
+      {
+        temperature: 0.2,
+        max_tokens: Number(process.env.CHAT_MAX_TOKENS || 2048),
+        profile,
+        // The profile that actually answers, after any failover
+        onProvider: (info) => send('status', { ok: true, answering: true, ...info }),
+      },
       (evt) => {
         if (evt.type === 'delta') {
           acc += evt.text || '';
@@ -766,6 +1158,34 @@ Style
     }
   }
 });
+// Opt-in: re-index files dropped into DOCS_DIR without pressing Rebuild
+if (/^(1|true|yes)$/i.test(process.env.WATCH_DOCS || '')) {
+  const dir = process.env.DOCS_DIR || 'docs';
+  docWatcher = watchDocs(dir, {
+    debounceMs: Number(process.env.WATCH_DEBOUNCE_MS || 2000),
+    pollMs: Number(process.env.WATCH_POLL_MS || 0),
+    accept: (abs) => INDEXED_EXTS.includes(fileExt(abs)),
+    list: () => listDocFiles(dir),
+    onChange: (paths) => {
+      console.log(`[watch] ${paths ? `${paths.length} changed file(s)` : 'changes'}; updating index`);
+      runIngest({ paths, trigger: 'watch' }).catch((e) => console.warn(`[watch] rebuild failed: ${e.message || e}`));
+    },
+  });
+}
+
+// Re-crawl web sources on their schedule (recrawlHours; 0 = manual only)
+const CRAWL_CHECK_MS = Number(process.env.CRAWL_CHECK_MS || 60000);
+setInterval(async () => {
+  try {
+    for (const source of await dueWebSources()) {
+      if (crawling.has(source.id)) continue;
+      runCrawl(source.id).catch((e) => console.warn(`[crawl] ${source.url} failed: ${e.message || e}`));
+    }
+  } catch (e) {
+    console.warn(`[crawl] schedule check failed: ${e.message || e}`);
+  }
+}, CRAWL_CHECK_MS).unref();
+
 const port = process.env.PORT || 3000;
 app.listen(port, () => {
   console.log(`Server listening on http://localhost:${port}`);
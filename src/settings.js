@@ -14,13 +14,42 @@ const DEFAULT_SETTINGS = {
     model: process.env.GROQ_MODEL || 'llama-3.1-8b-instant',
   },
   ollama: {
-    url: process.env.LLM_BASE_URL || 'http://ollama:11434',
+    url: process.env.LLM_BASE_URL || '', // empty: probe for a local server (see openaiCompatibleProvider.js)
     model: process.env.LLM_MODEL || 'llama3.1:8b',
   },
+  // Hosted APIs with native adapters (see llmAdapter.js)
+  openai: {
+    apiKey: process.env.OPENAI_API_KEY || '',
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  },
+  anthropic: {
+    apiKey: process.env.ANTHROPIC_API_KEY || '',
+    model: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+  },
+  gemini: {
+    apiKey: process.env.GEMINI_API_KEY || '',
+    model: process.env.GEMINI_MODEL || 'gemini-1.5-flash',
+  },
+  // Custom provider profiles (see llmAdapter.js); `aiProvider` may name one of them
+  profiles: [],
+  // Profile ids tried in order when the chosen one fails (see llmAdapter.js)
+  failover: (process.env.LLM_FAILOVER || '').split(',').map((id) => id.trim()).filter(Boolean),
   documents: {
     defaultSelection: [],
     uploadPath: '/app/docs/',
   },
+  retrieval: {
+    lexicalWeight: Number(process.env.HYBRID_LEXICAL_WEIGHT ?? 0.5),
+    rerank: {
+      enabled: process.env.RERANK_ENABLED === '1',
+      model: process.env.RERANK_MODEL || 'Xenova/ms-marco-MiniLM-L-6-v2',
+      candidates: Number(process.env.RERANK_CANDIDATES || 50),
+      topN: Number(process.env.RERANK_TOP_N || 12),
+    },
+  },
+  embedding: {
+    model: process.env.EMBEDDING_MODEL || 'Xenova/all-MiniLM-L6-v2',
+  },
   lastUpdated: new Date().toISOString(),
 };
 
@@ -28,11 +57,27 @@ async function ensureStorageDir() {
   await fs.mkdir(STORAGE_DIR, { recursive: true });
 }
 
+// Stored settings over the defaults, block by block: keys added since settings.json was written
+// (failover, retrieval.rerank, a new provider) still come from the defaults and the environment
+function withDefaults(stored) {
+  const blocks = ['groq', 'ollama', 'openai', 'anthropic', 'gemini', 'documents', 'embedding'];
+  return {
+    ...DEFAULT_SETTINGS,
+    ...stored,
+    ...Object.fromEntries(blocks.map((key) => [key, { ...DEFAULT_SETTINGS[key], ...stored[key] }])),
+    retrieval: {
+      ...DEFAULT_SETTINGS.retrieval,
+      ...stored.retrieval,
+      rerank: { ...DEFAULT_SETTINGS.retrieval.rerank, ...stored.retrieval?.rerank },
+    },
+  };
+}
+
 export async function loadSettings() {
   if (cachedSettings) return { ...cachedSettings };
   try {
     const data = await fs.readFile(SETTINGS_PATH, 'utf-8');
-    cachedSettings = JSON.parse(data);
+    cachedSettings = withDefaults(JSON.parse(data) || {});
   } catch {
     cachedSettings = { ...DEFAULT_SETTINGS };
     await saveSettings(cachedSettings);
@@ -40,6 +85,14 @@ export async function loadSettings() {
   return { ...cachedSettings };
 }
 
+// Hosted provider blocks keep their stored key unless a new one is sent (the UI never sees it)
+function mergeHosted(current, next, key) {
+  const { hasApiKey, ...sent } = next?.[key] || {};
+  const merged = { ...DEFAULT_SETTINGS[key], ...current[key], ...sent };
+  if (!sent.apiKey) merged.apiKey = current[key]?.apiKey ?? DEFAULT_SETTINGS[key].apiKey;
+  return merged;
+}
+
 export async function saveSettings(next) {
   await ensureStorageDir();
   const current = cachedSettings || { ...DEFAULT_SETTINGS };
@@ -48,11 +101,25 @@ export async function saveSettings(next) {
     ...next,
     groq: { ...current.groq, ...(next?.groq || {}) },
     ollama: { ...current.ollama, ...(next?.ollama || {}) },
+    openai: mergeHosted(current, next, 'openai'),
+    anthropic: mergeHosted(current, next, 'anthropic'),
+    gemini: mergeHosted(current, next, 'gemini'),
     documents: { ...current.documents, ...(next?.documents || {}) },
+    retrieval: {
+      ...current.retrieval,
+      ...(next?.retrieval || {}),
+      rerank: { ...current.retrieval?.rerank, ...(next?.retrieval?.rerank || {}) },
+    },
+    embedding: { ...current.embedding, ...(next?.embedding || {}) },
     lastUpdated: new Date().toISOString(),
   };
   // Do not erase API key if not explicitly included
   if (next?.groq?.apiKey === undefined) merged.groq.apiKey = current.groq.apiKey;
+  // Profiles are replaced as a list; one sent without a key keeps the key stored under its id
+  if (Array.isArray(next?.profiles)) {
+    const keys = new Map((current.profiles || []).map((p) => [p.id, p.apiKey]));
+    merged.profiles = next.profiles.map((p) => (p.apiKey === undefined && keys.get(p.id) ? { ...p, apiKey: keys.get(p.id) } : p));
+  }
   cachedSettings = merged;
   settingsVersion += 1;
   await fs.writeFile(SETTINGS_PATH, JSON.stringify(merged, null, 2), 'utf-8');
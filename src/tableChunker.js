@@ -0,0 +1,108 @@
+import { CHUNK_TOKEN_BUDGET, estimateTokens } from './chunkers.js';
+
+// Row-group chunking for spreadsheets and CSV/TSV: rows are packed under the token budget as a
+// Markdown table, and every chunk repeats the header row so a value can be read against its
+// column. Chunks record their sheet and the spreadsheet row numbers they cover, e.g. rows 40-80.
+
+const filled = (row) => row.filter((c) => String(c ?? '').trim()).length;
+
+const cellText = (value) => String(value ?? '').replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|').trim();
+
+// 0 -> A, 27 -> AB
+function columnName(i) {
+  let name = '';
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+// RFC 4180 quoting; the delimiter of .csv files (comma, semicolon or tab) is guessed from the first line
+export function parseDelimited(text, delimiter = null) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  if (!delimiter) {
+    const nl = src.indexOf('\n');
+    const first = (nl < 0 ? src : src.slice(0, nl)).replace(/"[^"]*"/g, '');
+    delimiter = [',', ';', '\t'].reduce((best, d) => (first.split(d).length > first.split(best).length ? d : best), ',');
+  }
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i += 1; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && !cell) {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows;
+}
+
+// grid: rows of cell values as displayed, grid[0][0] being the cell at `firstRow`/`firstColumn`.
+// The header is the first non-empty row; single-cell rows above a wider table (titles, notes)
+// become a caption repeated with the header.
+export function chunkTable(grid, { sheet = null, firstRow = 1, firstColumn = 0, budget = CHUNK_TOKEN_BUDGET } = {}) {
+  let h = grid.findIndex((r) => filled(r) > 0);
+  if (h < 0) return [];
+  const caption = [];
+  while (filled(grid[h]) === 1 && grid.slice(h + 1, h + 6).some((r) => filled(r) > 1)) {
+    caption.push(grid[h].map(cellText).filter(Boolean).join(' '));
+    h = grid.findIndex((r, i) => i > h && filled(r) > 0);
+  }
+  // Columns between the first and last one holding a value anywhere below the caption
+  let left = Infinity;
+  let right = 0;
+  for (const r of grid.slice(h)) {
+    r.forEach((v, c) => {
+      if (!cellText(v)) return;
+      left = Math.min(left, c);
+      right = Math.max(right, c + 1);
+    });
+  }
+  const columns = Array.from({ length: right - left }, (_, i) => left + i);
+  const line = (cells) => `| ${columns.map((c) => cellText(cells[c])).join(' | ')} |`;
+  const header = columns.map((c) => cellText(grid[h][c]) || columnName(firstColumn + c));
+  const head = [
+    ...(sheet ? [`Sheet: ${sheet}`] : []),
+    ...caption,
+    `| ${header.join(' | ')} |`,
+    `|${' --- |'.repeat(columns.length)}`,
+  ].join('\n');
+  const frame = estimateTokens(head);
+
+  const chunks = [];
+  let buf = null; // { lines, tokens, rowStart, rowEnd }
+  const flush = () => {
+    if (buf) chunks.push({ text: `${head}\n${buf.lines.join('\n')}`, sheet, rowStart: buf.rowStart, rowEnd: buf.rowEnd });
+    buf = null;
+  };
+  for (let i = h + 1; i < grid.length; i++) {
+    if (!filled(grid[i])) continue;
+    const text = line(grid[i]);
+    const tokens = estimateTokens(text);
+    // A row over the budget on its own still becomes one chunk
+    if (buf && buf.tokens + tokens > budget) flush();
+    if (!buf) buf = { lines: [], tokens: frame, rowStart: firstRow + i };
+    buf.lines.push(text);
+    buf.tokens += tokens;
+    buf.rowEnd = firstRow + i;
+  }
+  flush();
+  // A sheet with only a header row is still searchable
+  if (!chunks.length) chunks.push({ text: head, sheet, rowStart: firstRow + h, rowEnd: firstRow + h });
+  return chunks;
+}
@@ -0,0 +1,359 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import net from 'node:net';
+import { htmlToMarkdown } from './htmlToMarkdown.js';
+
+// Web sources: documentation sites crawled into the corpus next to DOCS_DIR.
+// A source is a start page or sitemap plus the domain and link depth to stay within. Pages are
+// converted to Markdown (html-to-text, as for .html files) and kept in a page store under
+// INDEX_DIR/web; the index picks them up by URL like files on disk. Re-crawls send
+// If-None-Match / If-Modified-Since, so pages the server reports unchanged cost one 304 and are
+// neither re-converted nor re-embedded.
+
+const INDEX_DIR = process.env.INDEX_DIR ? path.resolve(process.env.INDEX_DIR) : path.resolve('storage');
+const WEB_DIR = path.join(INDEX_DIR, 'web');
+const SOURCES_PATH = path.join(WEB_DIR, 'sources.json');
+const PAGES_PATH = path.join(WEB_DIR, 'pages.json'); // url -> { hash, sources, etag, lastModified, fetchedAt, size, aliases }
+const PAGE_TEXT_DIR = path.join(WEB_DIR, 'pages');
+const CRAWL_MAX_PAGES = Number(process.env.CRAWL_MAX_PAGES || 500); // per source and crawl
+const CRAWL_MAX_DEPTH = Number(process.env.CRAWL_MAX_DEPTH || 2); // default link depth from the start page
+const CRAWL_DELAY_MS = Number(process.env.CRAWL_DELAY_MS || 200); // between requests
+const CRAWL_TIMEOUT_MS = Number(process.env.CRAWL_TIMEOUT_MS || 15000);
+const CRAWL_MAX_BYTES = Number(process.env.CRAWL_MAX_BYTES || 5 * 1024 * 1024);
+const CRAWL_RECRAWL_HOURS = Number(process.env.CRAWL_RECRAWL_HOURS || 24); // default schedule; 0 = manual only
+const USER_AGENT = process.env.CRAWL_USER_AGENT || 'rag-try-groq-js crawler';
+// Links to these are never pages
+const SKIP_EXT_RE = /\.(png|jpe?g|gif|svg|webp|ico|css|js|mjs|map|json|xml|pdf|zip|gz|tgz|tar|mp[34]|mov|avi|woff2?|ttf|eot|exe|dmg)$/i;
+
+export const isWebUrl = (p) => /^https?:\/\//i.test(String(p || ''));
+
+function crawlError(message, code = 'INVALID_WEB_SOURCE') {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch {
+    return fallback;
+  }
+}
+
+async function writeJson(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data));
+  await fs.rename(tmp, file);
+}
+
+const pageTextPath = (url) => path.join(PAGE_TEXT_DIR, `${crypto.createHash('sha1').update(url).digest('hex')}.json`);
+
+// Scheme + host + path + query; fragments never select a different page
+function normaliseUrl(raw, base) {
+  try {
+    const u = new URL(raw, base);
+    if (u.protocol !== 'http:' && u.protocol !== 'https:') return null;
+    u.hash = '';
+    return u.toString();
+  } catch {
+    return null;
+  }
+}
+
+const inDomain = (url, domain) => {
+  const host = new URL(url).hostname.toLowerCase();
+  return host === domain || host.endsWith(`.${domain}`);
+};
+
+export async function listWebSources() {
+  return readJson(SOURCES_PATH, []);
+}
+
+// { url, domain?, maxDepth?, recrawlHours? } -> stored source
+export async function addWebSource({ url, domain, maxDepth, recrawlHours } = {}) {
+  const start = normaliseUrl(String(url || '').trim());
+  if (!start) throw crawlError('url must be an http(s) URL');
+  const host = new URL(start).hostname.toLowerCase();
+  const scope = String(domain || host).trim().toLowerCase().replace(/^\*?\./, '');
+  if (!scope || !inDomain(start, scope)) throw crawlError(`${host} is outside the domain ${scope}`);
+  // A parent domain widens the crawl to its subdomains, but never to a whole TLD (or IP range)
+  if (scope !== host && (!scope.includes('.') || net.isIP(host))) throw crawlError(`domain must be ${host} or a parent domain of it, not ${scope}`);
+  const depth = maxDepth === undefined || maxDepth === null || maxDepth === '' ? CRAWL_MAX_DEPTH : Number(maxDepth);
+  if (!Number.isInteger(depth) || depth < 0 || depth > 10) throw crawlError('maxDepth must be an integer from 0 to 10');
+  const hours = recrawlHours === undefined || recrawlHours === null || recrawlHours === '' ? CRAWL_RECRAWL_HOURS : Number(recrawlHours);
+  if (!Number.isFinite(hours) || hours < 0) throw crawlError('recrawlHours must be 0 (manual) or more');
+  const sources = await listWebSources();
+  if (sources.some((s) => s.url === start)) throw crawlError(`${start} is already a web source`);
+  const source = {
+    id: crypto.randomBytes(6).toString('hex'),
+    url: start,
+    domain: scope,
+    maxDepth: depth,
+    recrawlHours: hours,
+    createdAt: new Date().toISOString(),
+    lastCrawledAt: null,
+    lastResult: null,
+  };
+  await writeJson(SOURCES_PATH, [...sources, source]);
+  return source;
+}
+
+// Drops the source and every page only it reached; returns the URLs that left the store
+export async function removeWebSource(id) {
+  const sources = await listWebSources();
+  if (!sources.some((s) => s.id === id)) throw crawlError('Unknown web source', 'NOT_FOUND');
+  await writeJson(SOURCES_PATH, sources.filter((s) => s.id !== id));
+  const pages = await readJson(PAGES_PATH, {});
+  const removed = await dropPages(pages, id, () => true);
+  await writeJson(PAGES_PATH, pages);
+  return removed;
+}
+
+async function dropPages(pages, sourceId, shouldDrop) {
+  const removed = [];
+  for (const [url, page] of Object.entries(pages)) {
+    if (!page.sources.includes(sourceId) || !shouldDrop(url)) continue;
+    page.sources = page.sources.filter((s) => s !== sourceId);
+    if (page.sources.length) continue;
+    delete pages[url];
+    await fs.rm(pageTextPath(url), { force: true });
+    removed.push(url);
+  }
+  return removed;
+}
+
+// Sources whose schedule says a crawl is due
+export async function dueWebSources(now = Date.now()) {
+  return (await listWebSources()).filter((s) => s.recrawlHours > 0
+    && (!s.lastCrawledAt || now - Date.parse(s.lastCrawledAt) >= s.recrawlHours * 3600 * 1000));
+}
+
+// Page store as seen by the index: [{ url, hash, mtimeMs, size }]
+export async function listWebPages() {
+  const pages = await readJson(PAGES_PATH, {});
+  return Object.entries(pages).map(([url, p]) => ({
+    url,
+    hash: p.hash,
+    mtimeMs: Date.parse(p.lastModified || '') || Date.parse(p.fetchedAt) || 0,
+    size: p.size || 0,
+  }));
+}
+
+// { url, title, text } of a stored page, or null
+export async function loadWebPage(url) {
+  return readJson(pageTextPath(url), null);
+}
+
+async function fetchWithTimeout(url, headers = {}) {
+  return fetch(url, {
+    headers: { 'User-Agent': USER_AGENT, ...headers },
+    redirect: 'follow',
+    signal: AbortSignal.timeout(CRAWL_TIMEOUT_MS),
+  });
+}
+
+// Body as text, refusing anything over CRAWL_MAX_BYTES
+async function readBody(resp) {
+  const declared = Number(resp.headers.get('content-length') || 0);
+  if (declared > CRAWL_MAX_BYTES) throw new Error(`larger than ${CRAWL_MAX_BYTES} bytes`);
+  const parts = [];
+  let size = 0;
+  for await (const part of resp.body) {
+    size += part.length;
+    if (size > CRAWL_MAX_BYTES) throw new Error(`larger than ${CRAWL_MAX_BYTES} bytes`);
+    parts.push(part);
+  }
+  const charset = (resp.headers.get('content-type') || '').match(/charset=["']?([\w-]+)/i)?.[1] || 'utf-8';
+  let decoder;
+  try { decoder = new TextDecoder(charset); } catch { decoder = new TextDecoder('utf-8'); }
+  return decoder.decode(Buffer.concat(parts));
+}
+
+// robots.txt rules for "User-agent: *" as (allow, prefix) pairs; the longest matching prefix wins
+async function loadRobots(origin) {
+  let text = '';
+  try {
+    const resp = await fetchWithTimeout(`${origin}/robots.txt`);
+    if (resp.ok) text = await readBody(resp);
+  } catch {}
+  const rules = [];
+  let applies = false;
+  let inAgents = false;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.replace(/#.*/, '').trim();
+    const m = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+    if (!m) continue;
+    const key = m[1].toLowerCase();
+    if (key === 'user-agent') {
+      if (!inAgents) applies = false;
+      inAgents = true;
+      if (m[2] === '*') applies = true;
+      continue;
+    }
+    inAgents = false;
+    if (applies && (key === 'allow' || key === 'disallow') && m[2]) rules.push({ allow: key === 'allow', prefix: m[2] });
+  }
+  return (url) => {
+    const u = new URL(url);
+    const target = u.pathname + u.search;
+    let best = null;
+    for (const r of rules) {
+      if (target.startsWith(r.prefix) && (!best || r.prefix.length > best.prefix.length)) best = r;
+    }
+    return !best || best.allow;
+  };
+}
+
+function extractLinks(html, pageUrl) {
+  const base = normaliseUrl(html.match(/<base\b[^>]*\bhref\s*=\s*["']([^"']+)["']/i)?.[1] || '', pageUrl) || pageUrl;
+  const links = new Set();
+  for (const m of html.matchAll(/<a\b[^>]*?\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi)) {
+    const href = (m[1] ?? m[2] ?? m[3]).replace(/&amp;/g, '&').trim();
+    const url = normaliseUrl(href, base);
+    if (url && !SKIP_EXT_RE.test(new URL(url).pathname)) links.add(url);
+  }
+  return [...links];
+}
+
+const isSitemap = (body, type) => /xml/i.test(type) && /<(urlset|sitemapindex)\b/i.test(body.slice(0, 2000));
+
+const sitemapLocs = (xml) => [...xml.matchAll(/<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]]+?)\s*(?:\]\]>)?\s*<\/loc>/gi)]
+  .map((m) => m[1].replace(/&amp;/g, '&'));
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Crawls one source breadth-first. Returns { changed, removed, stats } where changed/removed are
+// page URLs the index has to re-read or drop.
+export async function crawlWebSource(id, { onProgress } = {}) {
+  const sources = await listWebSources();
+  const source = sources.find((s) => s.id === id);
+  if (!source) throw crawlError('Unknown web source', 'NOT_FOUND');
+  const pages = await readJson(PAGES_PATH, {});
+  const robots = new Map(); // origin -> allowed(url)
+  const allowed = async (url) => {
+    const { origin } = new URL(url);
+    if (!robots.has(origin)) robots.set(origin, await loadRobots(origin));
+    return robots.get(origin)(url);
+  };
+  const stats = { unchanged: 0, failed: 0, skipped: 0 };
+  const changed = [];
+  const seen = new Set(); // URLs this crawl confirmed (or could not re-check), kept in the store
+  const queued = new Set([source.url]);
+  const queue = [{ url: source.url, depth: 0 }];
+  // Stored pages by the URLs that redirected to them, so those requests can be conditional too
+  const aliasOf = new Map();
+  for (const [url, page] of Object.entries(pages)) for (const alias of page.aliases || []) aliasOf.set(alias, url);
+  let truncated = false;
+  let requests = 0;
+
+  const enqueue = (url, depth) => {
+    if (queued.has(url) || !inDomain(url, source.domain)) return;
+    queued.add(url);
+    queue.push({ url, depth });
+  };
+
+  while (queue.length) {
+    if (seen.size >= CRAWL_MAX_PAGES) {
+      truncated = true;
+      break;
+    }
+    const { url, depth } = queue.shift();
+    if (!(await allowed(url))) {
+      stats.skipped += 1;
+      continue;
+    }
+    if (requests++ > 0 && CRAWL_DELAY_MS > 0) await sleep(CRAWL_DELAY_MS);
+    onProgress?.({ url, pages: seen.size, queued: queue.length });
+    const key = pages[url] ? url : aliasOf.get(url) || url; // the stored page this URL stands for
+    const prev = pages[key];
+    const conditional = {};
+    if (prev?.etag) conditional['If-None-Match'] = prev.etag;
+    if (prev?.lastModified) conditional['If-Modified-Since'] = prev.lastModified;
+    let links = [];
+    try {
+      const resp = await fetchWithTimeout(url, conditional);
+      const finalUrl = normaliseUrl(resp.url) || url;
+      if (resp.status === 304 && prev) {
+        if (seen.has(key)) continue;
+        seen.add(key);
+        queued.add(key);
+        if (!prev.sources.includes(id)) prev.sources.push(id);
+        stats.unchanged += 1;
+        links = (await loadWebPage(key))?.links || [];
+      } else if (resp.status === 404 || resp.status === 410) {
+        // Gone: not in `seen`, so dropped below
+        await resp.body?.cancel();
+        continue;
+      } else if (!resp.ok) {
+        throw new Error(`HTTP ${resp.status}`);
+      } else {
+        const type = resp.headers.get('content-type') || '';
+        const body = /html|xml|text\/plain/i.test(type) || !type ? await readBody(resp) : null;
+        if (body === null) {
+          await resp.body?.cancel();
+          stats.skipped += 1;
+          continue;
+        }
+        if (isSitemap(body, type)) {
+          // Sitemaps list pages (or more sitemaps) and are not pages themselves
+          for (const loc of sitemapLocs(body)) {
+            const next = normaliseUrl(loc);
+            if (next) enqueue(next, depth);
+          }
+          continue;
+        }
+        if (finalUrl !== url && !inDomain(finalUrl, source.domain)) continue;
+        if (finalUrl !== url && queued.has(finalUrl)) {
+          if (pages[finalUrl]) pages[finalUrl].aliases = [...new Set([...(pages[finalUrl].aliases || []), url])];
+          continue;
+        }
+        queued.add(finalUrl);
+        const html = /html/i.test(type) || !type ? body : `<pre>${body.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</pre>`;
+        const title = (html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '').replace(/\s+/g, ' ').trim() || null;
+        const text = htmlToMarkdown(html).trim();
+        links = /html/i.test(type) || !type ? extractLinks(html, finalUrl) : [];
+        const hash = crypto.createHash('sha256').update(`${title || ''}\n${text}`).digest('hex');
+        const old = pages[finalUrl];
+        pages[finalUrl] = {
+          hash,
+          sources: [...new Set([...(old?.sources || []), id])],
+          etag: resp.headers.get('etag') || null,
+          lastModified: resp.headers.get('last-modified') || null,
+          fetchedAt: new Date().toISOString(),
+          size: text.length,
+          aliases: [...new Set([...(old?.aliases || []), ...(finalUrl !== url ? [url] : [])])],
+        };
+        await writeJson(pageTextPath(finalUrl), { url: finalUrl, title, text, links });
+        seen.add(finalUrl);
+        if (!old || old.hash !== hash) changed.push(finalUrl);
+        else stats.unchanged += 1;
+      }
+    } catch (e) {
+      // Keep what we had; a flaky server should not empty the index
+      console.warn(`[crawl] ${url}: ${e.message || e}`);
+      stats.failed += 1;
+      if (prev) {
+        seen.add(key);
+        links = (await loadWebPage(key))?.links || [];
+      }
+    }
+    if (depth < source.maxDepth) for (const link of links) enqueue(link, depth + 1);
+  }
+
+  // Pages this source no longer reaches, unless the page limit cut the crawl short
+  const removed = truncated ? [] : await dropPages(pages, id, (url) => !seen.has(url));
+  await writeJson(PAGES_PATH, pages);
+  const result = { updated: changed.length, ...stats, removed: removed.length, pages: seen.size, truncated };
+  const latest = await listWebSources();
+  const entry = latest.find((s) => s.id === id);
+  if (entry) {
+    entry.lastCrawledAt = new Date().toISOString();
+    entry.lastResult = result;
+    await writeJson(SOURCES_PATH, latest);
+  }
+  console.log(`[crawl] ${source.url}: ${seen.size} pages (${changed.length} updated, ${stats.unchanged} unchanged, ${stats.failed} failed, ${removed.length} removed)`);
+  return { changed, removed, stats: result };
+}
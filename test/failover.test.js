@@ -0,0 +1,161 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { startServer } from './helpers/httpServer.js';
+
+// Small timings so the schedule is observable in a test; read when llmAdapter.js loads
+Object.assign(process.env, {
+  LLM_RETRIES: '2',
+  LLM_RETRY_BASE_MS: '100',
+  LLM_RETRY_MAX_MS: '1500',
+  LLM_BREAKER_THRESHOLD: '2',
+  LLM_BREAKER_COOLDOWN_MS: '400',
+});
+
+// Each test drives its own profile (the model name says which), so circuits do not interfere;
+// every profile fails over to `backup` on a second server
+const behaviours = new Map(); // profile id -> (res, attempt) => void
+const hits = new Map(); // profile id -> request times
+let primary;
+let backup;
+let adapter;
+
+const answer = (res, text) => res.end(JSON.stringify({ choices: [{ message: { content: text } }] }));
+const fail = (res, status, headers = {}) => {
+  res.writeHead(status, headers);
+  res.end('{"error":"nope"}');
+};
+const requestsTo = (id) => (hits.get(id) || []).length;
+const messages = [{ role: 'user', content: 'hi' }];
+
+before(async () => {
+  primary = await startServer(async (req, res, body) => {
+    const times = hits.get(body.model) || [];
+    times.push(Date.now());
+    hits.set(body.model, times);
+    await behaviours.get(body.model)(res, times.length);
+  });
+  backup = await startServer(async (req, res, body) => {
+    hits.set('backup', [...(hits.get('backup') || []), Date.now()]);
+    if (body.stream) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      return res.end('data: {"choices":[{"delta":{"content":"from backup"}}]}\n\ndata: [DONE]\n\n');
+    }
+    answer(res, 'from backup');
+  });
+  const ids = ['backoff', 'retryafter', 'toolong', 'breaker', 'halfopen', 'committed'];
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'failover-'));
+  await fs.writeFile(path.join(dir, 'settings.json'), JSON.stringify({
+    aiProvider: 'backoff',
+    profiles: [
+      ...ids.map((id) => ({ id, name: id, type: 'openai-compatible', baseUrl: primary.url, model: id })),
+      { id: 'backup', name: 'backup', type: 'openai-compatible', baseUrl: backup.url, model: 'backup' },
+    ],
+    failover: ['backup'],
+  }));
+  process.env.INDEX_DIR = dir;
+  adapter = await import('../src/llmAdapter.js');
+});
+
+after(async () => {
+  await primary.close();
+  await backup.close();
+  await fs.rm(process.env.INDEX_DIR, { recursive: true, force: true });
+});
+
+async function ask(profile) {
+  let info = null;
+  const text = await adapter.llmChatComplete(messages, { profile, onProvider: (i) => { info = i; } });
+  return { text, info };
+}
+
+test('transient errors are retried with exponential backoff', async () => {
+  behaviours.set('backoff', (res, n) => (n < 3 ? fail(res, 503) : answer(res, 'from primary')));
+  const { text, info } = await ask('backoff');
+  assert.equal(text, 'from primary');
+  assert.deepEqual(info.fallbackFrom, []);
+  const [t0, t1, t2] = hits.get('backoff');
+  // Lower bounds only: a loaded machine can stretch either wait
+  assert.ok(t1 - t0 >= 90, `first gap ${t1 - t0}ms`);
+  assert.ok(t2 - t1 >= 190, `second gap ${t2 - t1}ms`);
+});
+
+test('Retry-After sets the wait when it is within LLM_RETRY_MAX_MS', async () => {
+  behaviours.set('retryafter', (res, n) => (n < 2 ? fail(res, 429, { 'Retry-After': '1' }) : answer(res, 'from primary')));
+  const { text } = await ask('retryafter');
+  assert.equal(text, 'from primary');
+  const [t0, t1] = hits.get('retryafter');
+  assert.ok(t1 - t0 >= 950, `waited ${t1 - t0}ms`);
+});
+
+test('a Retry-After above LLM_RETRY_MAX_MS fails over at once', async () => {
+  behaviours.set('toolong', (res) => fail(res, 429, { 'Retry-After': '5' }));
+  const started = Date.now();
+  const { text, info } = await ask('toolong');
+  assert.equal(text, 'from backup');
+  assert.deepEqual(info.fallbackFrom, ['toolong']);
+  assert.equal(requestsTo('toolong'), 1);
+  assert.ok(Date.now() - started < 500);
+});
+
+test('the breaker opens after repeated failures and closes after a successful probe', async () => {
+  let healthy = false;
+  behaviours.set('breaker', (res) => (healthy ? answer(res, 'from primary') : fail(res, 400)));
+  assert.equal((await ask('breaker')).text, 'from backup');
+  assert.equal((await ask('breaker')).text, 'from backup');
+  assert.equal(adapter.providerHealth().breaker.open, true);
+
+  // Open: skipped without a request
+  const { text, info } = await ask('breaker');
+  assert.equal(text, 'from backup');
+  assert.deepEqual(info.fallbackFrom, ['breaker']);
+  assert.equal(requestsTo('breaker'), 2);
+
+  // After the cooldown one probe goes through; success closes the circuit
+  healthy = true;
+  await new Promise((r) => setTimeout(r, 450));
+  assert.equal((await ask('breaker')).text, 'from primary');
+  assert.equal(adapter.providerHealth().breaker, undefined);
+});
+
+test('a half-open circuit lets a single probe through', async () => {
+  let healthy = false;
+  behaviours.set('halfopen', async (res) => {
+    if (!healthy) return fail(res, 400);
+    await new Promise((r) => setTimeout(r, 200));
+    answer(res, 'from primary');
+  });
+  await ask('halfopen');
+  await ask('halfopen');
+  healthy = true;
+  await new Promise((r) => setTimeout(r, 450));
+  const answers = await Promise.all([ask('halfopen'), ask('halfopen'), ask('halfopen')]);
+  assert.equal(requestsTo('halfopen'), 3);
+  assert.deepEqual(answers.map((a) => a.text).sort(), ['from backup', 'from backup', 'from primary']);
+});
+
+test('a stream that already produced output does not fail over', async () => {
+  behaviours.set('committed', (res) => {
+    // The connection drops after the first token
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write('data: {"choices":[{"delta":{"content":"Partial"}}]}\n\n', () => setTimeout(() => res.destroy(), 50));
+  });
+  const backupBefore = requestsTo('backup');
+  const events = [];
+  await adapter.llmChatCompleteStream(messages, { profile: 'committed' }, (e) => events.push(e));
+  assert.deepEqual(events.map((e) => e.type), ['delta', 'error']);
+  assert.equal(events[0].text, 'Partial');
+  assert.equal(requestsTo('committed'), 1);
+  assert.equal(requestsTo('backup'), backupBefore);
+});
+
+test('a stream that fails before any output fails over', async () => {
+  const events = [];
+  let info = null;
+  await adapter.llmChatCompleteStream(messages, { profile: 'toolong', onProvider: (i) => { info = i; } }, (e) => events.push(e));
+  assert.deepEqual(events.map((e) => e.type), ['delta', 'done']);
+  assert.equal(events[0].text, 'from backup');
+  assert.equal(info.profile, 'backup');
+});
@@ -0,0 +1,55 @@
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const FIXTURES = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../fixtures');
+
+// Local HTTP server for tests: `handler(req, res, body)` answers every request; `requests` records
+// { method, url, headers, body } (body parsed as JSON when it is JSON)
+export async function startServer(handler) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    let body = raw;
+    try { body = raw ? JSON.parse(raw) : null; } catch {}
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+    try {
+      await handler(req, res, body);
+    } catch (e) {
+      res.writeHead(500);
+      res.end(String(e));
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  return {
+    url,
+    requests,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections?.();
+      server.close(resolve);
+    }),
+  };
+}
+
+// Replays test/fixtures/<name>; event streams go out in small pieces so that events are split
+// across reads the way they are on a real connection
+export async function sendFixture(res, name, { status = 200, headers = {} } = {}) {
+  const data = await fs.readFile(path.join(FIXTURES, name), 'utf-8');
+  const sse = name.endsWith('.sse');
+  res.writeHead(status, { 'Content-Type': sse ? 'text/event-stream' : 'application/json', ...headers });
+  if (!sse) return res.end(data);
+  for (let i = 0; i < data.length; i += 17) {
+    res.write(data.slice(i, i + 17));
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  res.end();
+}
+
+export async function collect(iterable) {
+  const out = [];
+  for await (const item of iterable) out.push(item);
+  return out;
+}
@@ -0,0 +1,159 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, sendFixture, collect } from './helpers/httpServer.js';
+import * as anthropic from '../src/anthropicProvider.js';
+import * as gemini from '../src/geminiProvider.js';
+import * as openai from '../src/openaiProvider.js';
+
+const messages = [
+  { role: 'system', content: 'Answer from the docs.' },
+  { role: 'assistant', content: 'Hi, ask me anything.' },
+  { role: 'user', content: 'What is in the docs?' },
+  { role: 'user', content: 'Briefly.' },
+];
+const opts = { temperature: 0.2, max_tokens: 100 };
+
+// Every profile points at a gateway-style prefix, which must be kept in front of the API path
+function profile(server, extra = {}) {
+  return { id: 'test', name: 'Test', baseUrl: `${server.url}/gw`, apiKey: 'key-1', ...extra };
+}
+
+describe('anthropic provider', () => {
+  let server;
+  before(async () => {
+    server = await startServer(async (req, res, body) => {
+      if (req.url === '/gw/v1/models?limit=1000') return sendFixture(res, 'anthropic/models.json');
+      if (req.url !== '/gw/v1/messages') return sendFixture(res, 'anthropic/models.json', { status: 404 });
+      if (body.model === 'overloaded') return sendFixture(res, 'anthropic/stream-overloaded.sse');
+      return sendFixture(res, body.stream ? 'anthropic/stream.sse' : 'anthropic/complete.json');
+    });
+  });
+  after(() => server.close());
+
+  test('streams text deltas and stops at message_stop', async () => {
+    const p = profile(server, { model: 'claude-3-5-haiku-latest' });
+    assert.deepEqual(await collect(anthropic.stream(p, messages, opts)), ['Hello', ' from the docs']);
+    const { headers, body } = server.requests.at(-1);
+    assert.equal(headers['x-api-key'], 'key-1');
+    assert.equal(headers['anthropic-version'], '2023-06-01');
+    assert.equal(body.system, 'Answer from the docs.');
+    // Turns alternate and open with the user
+    assert.deepEqual(body.messages.map((m) => m.role), ['user', 'assistant', 'user']);
+    assert.equal(body.messages[2].content, 'What is in the docs?\n\nBriefly.');
+    assert.equal(body.max_tokens, 100);
+    assert.equal(body.stream, true);
+  });
+
+  test('completes without streaming', async () => {
+    assert.equal(await anthropic.complete(profile(server, { model: 'm' }), messages, opts), 'Hello from the docs');
+  });
+
+  test('maps an overloaded error event to a transient status', async () => {
+    const seen = [];
+    await assert.rejects(async () => {
+      for await (const text of anthropic.stream(profile(server, { model: 'overloaded' }), messages, opts)) seen.push(text);
+    }, (e) => e.status === 529 && /overloaded_error/.test(e.message));
+    assert.deepEqual(seen, ['Partial']);
+  });
+
+  test('lists models', async () => {
+    const models = await anthropic.listModels(profile(server));
+    assert.deepEqual(models, [
+      { id: 'claude-3-5-sonnet-20241022', contextLength: null },
+      { id: 'claude-3-5-haiku-20241022', contextLength: null },
+    ]);
+  });
+
+  test('a missing key is a configuration error', async () => {
+    await assert.rejects(anthropic.complete(profile(server, { apiKey: '' }), messages, opts), { code: 'LLM_CONFIG' });
+  });
+});
+
+describe('gemini provider', () => {
+  let server;
+  before(async () => {
+    server = await startServer(async (req, res) => {
+      if (req.url === '/gw/v1beta/models?pageSize=1000') return sendFixture(res, 'gemini/models.json');
+      if (req.url === '/gw/v1beta/models/blocked:streamGenerateContent?alt=sse') return sendFixture(res, 'gemini/stream-blocked.sse');
+      if (req.url === '/gw/v1beta/models/gemini-1.5-flash:streamGenerateContent?alt=sse') return sendFixture(res, 'gemini/stream.sse');
+      if (req.url === '/gw/v1beta/models/gemini-1.5-flash:generateContent') return sendFixture(res, 'gemini/complete.json');
+      return sendFixture(res, 'gemini/models.json', { status: 404 });
+    });
+  });
+  after(() => server.close());
+
+  test('streams alt=sse candidates', async () => {
+    const p = profile(server, { model: 'models/gemini-1.5-flash' });
+    assert.deepEqual(await collect(gemini.stream(p, messages, opts)), ['Hello', ' from the docs']);
+    const { headers, body } = server.requests.at(-1);
+    assert.equal(headers['x-goog-api-key'], 'key-1');
+    assert.deepEqual(body.systemInstruction, { parts: [{ text: 'Answer from the docs.' }] });
+    assert.deepEqual(body.contents.map((c) => c.role), ['user', 'model', 'user']);
+    assert.deepEqual(body.generationConfig, { temperature: 0.2, maxOutputTokens: 100 });
+  });
+
+  test('completes without streaming', async () => {
+    assert.equal(await gemini.complete(profile(server, { model: 'gemini-1.5-flash' }), messages, opts), 'Hello from the docs');
+  });
+
+  test('a blocked prompt is a non-transient error', async () => {
+    await assert.rejects(collect(gemini.stream(profile(server, { model: 'blocked' }), messages, opts)),
+      (e) => e.status === 400 && /prompt blocked: SAFETY/.test(e.message));
+  });
+
+  test('lists chat models with their context windows', async () => {
+    assert.deepEqual(await gemini.listModels(profile(server)), [{ id: 'gemini-1.5-flash', contextLength: 1000000 }]);
+  });
+});
+
+describe('openai provider', () => {
+  let server;
+  before(async () => {
+    server = await startServer(async (req, res, body) => {
+      if (req.url === '/gw/v1/models') return sendFixture(res, 'openai/models.json');
+      if (req.url !== '/gw/v1/chat/completions') return sendFixture(res, 'openai/models.json', { status: 404 });
+      if (body.model === 'throttled') return sendFixture(res, 'openai/complete.json', { status: 429, headers: { 'Retry-After': '3' } });
+      if (body.model === 'broken') return sendFixture(res, 'openai/stream-error.sse');
+      return sendFixture(res, body.stream ? 'openai/stream.sse' : 'openai/complete.json');
+    });
+  });
+  after(() => server.close());
+
+  test('streams deltas until [DONE]', async () => {
+    const p = profile(server, { model: 'gpt-4o-mini' });
+    assert.deepEqual(await collect(openai.stream(p, messages, opts)), ['Hello', ' from the docs']);
+    const { headers, body } = server.requests.at(-1);
+    assert.equal(headers.authorization, 'Bearer key-1');
+    assert.equal(body.max_completion_tokens, 100);
+    assert.equal(body.messages.length, 4);
+  });
+
+  test('compatible servers get max_tokens and need no key', async () => {
+    const p = profile(server, { model: 'llama', apiKey: '' });
+    assert.equal(await openai.complete(p, messages, opts, { native: false }), 'Hello from the docs');
+    const { headers, body } = server.requests.at(-1);
+    assert.equal(headers.authorization, undefined);
+    assert.equal(body.max_tokens, 100);
+    assert.equal(body.max_completion_tokens, undefined);
+  });
+
+  test('a mid-stream error chunk is thrown after the text before it', async () => {
+    const seen = [];
+    await assert.rejects(async () => {
+      for await (const text of openai.stream(profile(server, { model: 'broken' }), messages, opts)) seen.push(text);
+    }, (e) => e.status === 500 && /server had an error/.test(e.message));
+    assert.deepEqual(seen, ['Partial']);
+  });
+
+  test('HTTP errors carry the status and Retry-After', async () => {
+    await assert.rejects(openai.complete(profile(server, { model: 'throttled' }), messages, opts),
+      (e) => e.status === 429 && e.retryAfterMs === 3000);
+  });
+
+  test('lists models with the context length servers report', async () => {
+    assert.deepEqual(await openai.listModels(profile(server)), [
+      { id: 'gpt-4o-mini', contextLength: null },
+      { id: 'llama-3.1-8b', contextLength: 131072 },
+    ]);
+  });
+});
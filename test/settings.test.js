@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+test('settings saved before a key existed pick it up from the defaults', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'settings-'));
+  await fs.writeFile(path.join(dir, 'settings.json'), JSON.stringify({
+    aiProvider: 'groq',
+    groq: { apiKey: 'stored-key' },
+    retrieval: { lexicalWeight: 0.3 },
+  }));
+  Object.assign(process.env, { INDEX_DIR: dir, LLM_FAILOVER: 'backup, spare', RERANK_ENABLED: '1' });
+  const { loadSettings } = await import('../src/settings.js');
+  const s = await loadSettings();
+  assert.equal(s.aiProvider, 'groq');
+  assert.deepEqual(s.groq, { apiKey: 'stored-key', model: 'llama-3.1-8b-instant' });
+  assert.deepEqual(s.failover, ['backup', 'spare']);
+  assert.equal(s.retrieval.lexicalWeight, 0.3);
+  assert.equal(s.retrieval.rerank.enabled, true);
+  assert.equal(s.anthropic.model, 'claude-3-5-haiku-latest');
+  await fs.rm(dir, { recursive: true, force: true });
+});
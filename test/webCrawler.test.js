@@ -0,0 +1,133 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { startServer } from './helpers/httpServer.js';
+
+// A small static site: index -> a, deep1 -> deep2 -> deep3, a redirecting /docs, a robots-disallowed
+// page and a link off the domain (localhost is another host than 127.0.0.1)
+const ETAG = '"docs-v1"';
+const LAST_MODIFIED = 'Mon, 01 Jan 2024 00:00:00 GMT';
+const gone = new Map(); // path -> status once the page has been taken down
+let server;
+let crawler;
+
+const page = (title, links = []) => `<html><head><title>${title}</title></head><body><h1>${title}</h1>`
+  + `<p>Some text about ${title}.</p>${links.map((l) => `<a href="${l}">${l}</a>`).join(' ')}</body></html>`;
+
+function site(origin) {
+  const other = origin.replace('127.0.0.1', 'localhost');
+  return {
+    '/robots.txt': { type: 'text/plain', body: 'User-agent: *\nDisallow: /private/\n' },
+    '/sitemap.xml': {
+      type: 'application/xml',
+      body: `<?xml version="1.0"?><urlset><url><loc>${origin}/a.html</loc></url>`
+        + `<url><loc>${origin}/gone.html</loc></url><url><loc>${origin}/old.html</loc></url></urlset>`,
+    },
+    '/index.html': { body: page('Index', ['/a.html', '/deep1.html', '/docs', '/private/secret.html', `${other}/outside.html`, '/gone.html', '/old.html']) },
+    '/a.html': { body: page('A'), headers: { 'Last-Modified': LAST_MODIFIED } },
+    '/deep1.html': { body: page('Deep 1', ['/deep2.html']) },
+    '/deep2.html': { body: page('Deep 2', ['/deep3.html']) },
+    '/deep3.html': { body: page('Deep 3') },
+    '/docs/': { body: page('Docs', ['/a.html']), headers: { ETag: ETAG } },
+    '/private/secret.html': { body: page('Secret') },
+    '/gone.html': { body: page('Gone') },
+    '/old.html': { body: page('Old') },
+  };
+}
+
+before(async () => {
+  server = await startServer((req, res) => {
+    const { pathname } = new URL(req.url, server.url);
+    if (pathname === '/docs') {
+      res.writeHead(301, { Location: '/docs/' });
+      return res.end();
+    }
+    const entry = site(server.url)[pathname];
+    if (!entry || gone.has(pathname)) {
+      res.writeHead(gone.get(pathname) || 404);
+      return res.end('not here');
+    }
+    const headers = entry.headers || {};
+    if ((headers.ETag && req.headers['if-none-match'] === headers.ETag)
+      || (headers['Last-Modified'] && req.headers['if-modified-since'] === headers['Last-Modified'])) {
+      res.writeHead(304, headers);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': `${entry.type || 'text/html'}; charset=utf-8`, ...headers });
+    res.end(entry.body);
+  });
+  process.env.INDEX_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'crawler-'));
+  process.env.CRAWL_DELAY_MS = '0';
+  crawler = await import('../src/webCrawler.js');
+});
+
+after(async () => {
+  await server.close();
+  await fs.rm(process.env.INDEX_DIR, { recursive: true, force: true });
+});
+
+const storedPaths = async () => (await crawler.listWebPages()).map((p) => new URL(p.url).pathname).sort();
+const requestsFor = (pathname) => server.requests.filter((r) => new URL(r.url, server.url).pathname === pathname);
+
+test('the domain must be the start host or a parent domain that is not a TLD', async () => {
+  await assert.rejects(crawler.addWebSource({ url: 'https://docs.example.com/', domain: 'com' }), { code: 'INVALID_WEB_SOURCE' });
+  await assert.rejects(crawler.addWebSource({ url: 'https://docs.example.com/', domain: 'other.org' }), { code: 'INVALID_WEB_SOURCE' });
+  await assert.rejects(crawler.addWebSource({ url: 'http://10.0.0.1/', domain: '0.0.1' }), { code: 'INVALID_WEB_SOURCE' });
+  const parent = await crawler.addWebSource({ url: 'https://docs.example.com/', domain: '.example.com' });
+  assert.equal(parent.domain, 'example.com');
+  const own = await crawler.addWebSource({ url: 'https://docs.example.com/guide' });
+  assert.equal(own.domain, 'docs.example.com');
+  await crawler.removeWebSource(parent.id);
+  await crawler.removeWebSource(own.id);
+});
+
+test('a sitemap expands into its pages and is not stored itself', async () => {
+  const source = await crawler.addWebSource({ url: `${server.url}/sitemap.xml`, maxDepth: 0 });
+  const { changed } = await crawler.crawlWebSource(source.id);
+  assert.deepEqual(changed.map((u) => new URL(u).pathname).sort(), ['/a.html', '/gone.html', '/old.html']);
+  await crawler.removeWebSource(source.id);
+  assert.deepEqual(await storedPaths(), []);
+});
+
+test('a crawl keeps to the link depth, the domain and robots.txt', async () => {
+  const source = await crawler.addWebSource({ url: `${server.url}/index.html`, maxDepth: 2 });
+  const { stats } = await crawler.crawlWebSource(source.id);
+  assert.deepEqual(await storedPaths(), ['/a.html', '/deep1.html', '/deep2.html', '/docs/', '/gone.html', '/index.html', '/old.html']);
+  assert.equal(stats.skipped, 1); // /private/secret.html
+  assert.equal(requestsFor('/private/secret.html').length, 0);
+  assert.equal(requestsFor('/deep3.html').length, 0);
+  const page = await crawler.loadWebPage(`${server.url}/docs/`);
+  assert.equal(page.title, 'Docs');
+  assert.match(page.text, /Some text about Docs/);
+});
+
+test('a re-crawl sends ETag and Last-Modified validators, through redirects too', async () => {
+  const [source] = await crawler.listWebSources();
+  const before = server.requests.length;
+  const { changed, removed, stats } = await crawler.crawlWebSource(source.id);
+  assert.deepEqual(changed, []);
+  assert.deepEqual(removed, []);
+  const again = server.requests.slice(before);
+  const docs = again.find((r) => r.url === '/docs');
+  assert.equal(docs.headers['if-none-match'], ETAG);
+  const a = again.find((r) => r.url === '/a.html');
+  assert.equal(a.headers['if-modified-since'], LAST_MODIFIED);
+  // /docs/ and /a.html answered 304; the rest came back with the same content
+  assert.equal(stats.unchanged, 7);
+  const followed = again.filter((r) => r.url === '/docs/');
+  assert.equal(followed.length, 1);
+  assert.equal(followed[0].headers['if-none-match'], ETAG);
+  assert.equal((await crawler.listWebPages()).length, 7);
+});
+
+test('pages answering 404 or 410 leave the store', async () => {
+  const [source] = await crawler.listWebSources();
+  gone.set('/gone.html', 404);
+  gone.set('/old.html', 410);
+  const { removed } = await crawler.crawlWebSource(source.id);
+  assert.deepEqual(removed.map((u) => new URL(u).pathname).sort(), ['/gone.html', '/old.html']);
+  assert.deepEqual(await storedPaths(), ['/a.html', '/deep1.html', '/deep2.html', '/docs/', '/index.html']);
+  assert.equal(await crawler.loadWebPage(`${server.url}/gone.html`), null);
+});